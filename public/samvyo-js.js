@@ -109,13 +109,852 @@ var PC_PROPRIETARY_CONSTRAINTS = {
   }]
 };
 var devicesList;
-var queue = new _queue.SocketQueue();
+// Time to wait for the server to answer a socket request before giving up on it.
+var REQUEST_TIMEOUT = 20000;
+// Time to wait for the server to answer joinRoom with the room's participants.
+var JOIN_TIMEOUT = 30000;
+// Time to wait for a moderator to let this peer in once the room asked for approval.
+var JOIN_AUTH_TIMEOUT = 120000;
+// Time a moderator role request stays pending when no moderator answers it.
+var ROLE_REQUEST_TIMEOUT = 120000;
+// Time to wait for the server to confirm that a recording started or stopped.
+var RECORDING_CONFIRM_TIMEOUT = 30000;
+var LIVE_STREAM_LAYOUTS = ["grid", "speaker", "presentation"];
+// Room policy used until the server sends the room's own settings.
+var DEFAULT_ROOM_SETTINGS = {
+  muteOnEntry: false,
+  cameraOffOnEntry: false,
+  whoCanShare: "everyone",
+  whoCanChat: "everyone",
+  whoCanRecord: "everyone",
+  // Advisory: the SDK consumes every video, the app decides how many tiles to show.
+  maxVideoTiles: null
+};
+var ROOM_SETTINGS_AUDIENCES = ["everyone", "moderators"];
+// Outbound messages held while the socket reconnects, and how long each may wait (ms).
+var OUTBOUND_QUEUE_LIMIT = 100;
+var OUTBOUND_MESSAGE_TTL = 30000;
+// Media signalling bound to the transports of the lost socket; replaying it after a reconnect would be stale.
+var UNBUFFERED_MESSAGE_IDS = ["joinRoom", "createTransport", "connectTransport", "connectRecvTransport", "sendTrack", "transportsAvailable", "resumeConsumer", "restartIce", "setConsumerPreferredLayers", "setConsumerPriority", "roomSnapshot", "consumeProducers", "produceData", "closeDataProducer"];
+// How long before the session token's exp tokenExpiring fires (ms), unless init({tokenRefreshLead}) says otherwise.
+var TOKEN_REFRESH_LEAD = 60000;
+// setTimeout() can't wait longer than this; later expiries are re-armed in steps.
+var MAX_TIMER_DELAY = 2147483647;
+// Chat messages the server replays to a joining peer, and how many each chat list keeps.
+var CHAT_HISTORY_LIMIT = 50;
+var CHAT_STORE_LIMIT = 500;
+var CHAT_MESSAGE_MAX_LENGTH = 4000;
+// Bytes a data channel may have queued before sendData() refuses more, so bursts don't turn into latency.
+var DATA_CHANNEL_BUFFER_LIMIT = 1024 * 1024;
+// Custom message type that carries publish() payloads.
+var TOPIC_MESSAGE_TYPE = "topic";
+// Roles a message can be addressed to, as custom messages name them.
+var MESSAGE_ROLES = [_constants.MSG_SENDER_TYPE_MODERATOR, _constants.MSG_SENDER_TYPE_PRESENTER, _constants.MSG_SENDER_TYPE_VIEWER];
+// Token buckets for custom messages, keyed by topic (or custom message type). "default" covers
+// the keys init({rateLimits}) doesn't list: sustained messages per second and the burst on top.
+var DEFAULT_RATE_LIMITS = {
+  "default": {
+    ratePerSecond: 5,
+    burst: 10,
+    coalesce: false
+  }
+};
+// E2EE keys: raw AES-GCM key sizes the app may supply, and the PBKDF2 cost of passphrase derived ones.
+var E2EE_KEY_LENGTHS = [16, 32];
+var E2EE_PBKDF2_ITERATIONS = 100000;
+// A peer's e2eeStatus is the first of these that any of its receivers is in.
+var E2EE_STATUS_PRECEDENCE = ["decryptionFailed", "missingKey", "active", "pending"];
+// Keys accepted in init({reconnect}); they tune the socket's backoff and ping timeout.
+var RECONNECT_OPTIONS = ["maxRetries", "initialDelay", "maxDelay", "backoffFactor", "pingTimeout"];
+// Merges init()'s rateLimits over the defaults. Invalid entries are reported and left at their default.
+function resolveRateLimits(rateLimits) {
+  var resolved = _objectSpread({}, DEFAULT_RATE_LIMITS);
+  Object.keys(rateLimits).forEach(function (key) {
+    var limit = rateLimits[key];
+    var base = resolved[key] || DEFAULT_RATE_LIMITS["default"];
+    if (!jsonTypeMatches("object", limit)) {
+      logger.warn("Invalid rate limit for '%s', default value will be used", key);
+      return;
+    }
+    var valid = (limit.ratePerSecond === undefined || typeof limit.ratePerSecond === "number" && limit.ratePerSecond > 0) && (limit.burst === undefined || typeof limit.burst === "number" && limit.burst >= 1) && (limit.coalesce === undefined || typeof limit.coalesce === "boolean");
+    if (!valid) {
+      logger.warn("Invalid rate limit for '%s', default value will be used", key);
+      return;
+    }
+    resolved[key] = _objectSpread(_objectSpread({}, base), limit);
+  });
+  return resolved;
+}
+// Services init({endpoints}) can point elsewhere, with the url schemes each accepts.
+var ENDPOINT_PROTOCOLS = {
+  signalling: ["https:", "http:", "wss:", "ws:"],
+  allocation: ["https:", "http:"]
+};
+// Asymmetric algorithms createTokenVerifier() accepts, as WebCrypto import and verify parameters.
+var TOKEN_ALGORITHMS = {
+  RS256: {
+    keyType: "RSA",
+    importParams: {
+      name: "RSASSA-PKCS1-v1_5",
+      hash: "SHA-256"
+    },
+    verifyParams: {
+      name: "RSASSA-PKCS1-v1_5"
+    }
+  },
+  ES256: {
+    keyType: "EC",
+    importParams: {
+      name: "ECDSA",
+      namedCurve: "P-256"
+    },
+    verifyParams: {
+      name: "ECDSA",
+      hash: "SHA-256"
+    }
+  }
+};
+function base64UrlToBytes(value) {
+  var base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  var binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+  return Uint8Array.from(binary, function (c) {
+    return c.charCodeAt(0);
+  });
+}
+function pemToBytes(pem) {
+  var body = pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, "").replace(/\s+/g, "");
+  return Uint8Array.from(atob(body), function (c) {
+    return c.charCodeAt(0);
+  });
+}
+
+// Session tokens are signed and verified by the backend. Without a verifier the SDK only decodes them,
+// so no signing secret has to ship to the browser.
+function decodeSessionToken(sessionToken) {
+  var decoded = _jsonwebtoken["default"].decode(sessionToken, {
+    complete: true
+  });
+  if (!decoded || !decoded.payload || (0, _typeof2["default"])(decoded.payload) !== "object") {
+    throw new Error("Invalid session token: not a JWT with a JSON payload");
+  }
+  return decoded;
+}
+function checkTokenClaims(claims) {
+  var now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && claims.exp <= now) throw new Error("Session token has expired");
+  if (typeof claims.nbf === "number" && claims.nbf > now) throw new Error("Session token not yet active");
+  return claims;
+}
+function verifySessionToken(tokenVerifier, sessionToken) {
+  return Promise.resolve().then(function () {
+    return tokenVerifier(sessionToken);
+  }).then(function (claims) {
+    if (!claims || (0, _typeof2["default"])(claims) !== "object") throw new Error("Invalid session token: verifier returned no claims");
+    return claims;
+  }, function (error) {
+    throw new Error("Invalid session token: ".concat(error.message));
+  });
+}
+
+/**
+ * Build a tokenVerifier for init() that checks the session token's RS256/ES256
+ * signature in the browser with WebCrypto.
+ *
+ * @param {Object} options
+ * @param {String} [options.publicKey] - SPKI public key in PEM format.
+ * @param {Object} [options.jwks] - JWKS document ({keys: [...]}); the key is picked by the token's kid.
+ * @param {Array<String>} [options.algorithms] - accepted algorithms, defaults to ["RS256", "ES256"].
+ *
+ * @returns {Function} (sessionToken) => Promise resolving with the token's claims.
+ */
+function _createTokenVerifier() {
+  var _ref = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+    publicKey = _ref.publicKey,
+    jwks = _ref.jwks,
+    _ref$algorithms = _ref.algorithms,
+    algorithms = _ref$algorithms === void 0 ? Object.keys(TOKEN_ALGORITHMS) : _ref$algorithms;
+  if (!publicKey === !jwks) throw new Error("createTokenVerifier needs either a publicKey or a jwks document");
+  if (publicKey && typeof publicKey !== "string") throw new Error("publicKey should be a PEM encoded SPKI public key");
+  if (jwks && !Array.isArray(jwks.keys)) throw new Error("jwks should be a JWKS document with a keys array");
+  if (!Array.isArray(algorithms) || !algorithms.length || algorithms.some(function (alg) {
+    return !TOKEN_ALGORITHMS[alg];
+  })) {
+    throw new Error("algorithms should be a non-empty subset of: ".concat(Object.keys(TOKEN_ALGORITHMS).join(", ")));
+  }
+  if (typeof crypto === "undefined" || !crypto.subtle) throw new Error("Token verification needs WebCrypto, which is only available in secure contexts");
+  var keys = new Map();
+  var importKey = function importKey(alg, kid) {
+    var cacheKey = "".concat(alg, "|").concat(kid || "");
+    if (keys.has(cacheKey)) return keys.get(cacheKey);
+    var params = TOKEN_ALGORITHMS[alg];
+    var key;
+    if (publicKey) {
+      key = crypto.subtle.importKey("spki", pemToBytes(publicKey), params.importParams, false, ["verify"]);
+    } else {
+      var jwk = jwks.keys.find(function (k) {
+        return k.kty === params.keyType && (!kid || k.kid === kid) && (!k.alg || k.alg === alg);
+      });
+      if (!jwk) return Promise.reject(new Error("no key in the JWKS matches kid \"".concat(kid, "\" and ").concat(alg)));
+      key = crypto.subtle.importKey("jwk", jwk, params.importParams, false, ["verify"]);
+    }
+    keys.set(cacheKey, key);
+    return key;
+  };
+  return function (sessionToken) {
+    var _decodeSessionToken = decodeSessionToken(sessionToken),
+      header = _decodeSessionToken.header,
+      payload = _decodeSessionToken.payload;
+    if (!algorithms.includes(header.alg)) {
+      return Promise.reject(new Error("algorithm ".concat(header.alg, " is not accepted")));
+    }
+    var parts = sessionToken.split(".");
+    return importKey(header.alg, header.kid).then(function (key) {
+      return crypto.subtle.verify(TOKEN_ALGORITHMS[header.alg].verifyParams, key, base64UrlToBytes(parts[2]), new TextEncoder().encode("".concat(parts[0], ".").concat(parts[1])));
+    }).then(function (valid) {
+      if (!valid) throw new Error("signature verification failed");
+      return payload;
+    });
+  };
+}
+// Merges init()'s endpoints over the chosen environment's defaults, throwing on anything it can't use.
+function resolveEndpoints(environment, endpoints) {
+  if (!Object.prototype.hasOwnProperty.call(_constants.ENVIRONMENTS, environment)) {
+    throw new Error("Invalid environment \"".concat(environment, "\". Expected one of: ").concat(Object.keys(_constants.ENVIRONMENTS).join(", ")));
+  }
+  if (!endpoints || (0, _typeof2["default"])(endpoints) !== "object" || Array.isArray(endpoints)) {
+    throw new Error("endpoints should be an object with signalling and/or allocation urls");
+  }
+  var resolved = _objectSpread({
+    signalling: null
+  }, _constants.ENVIRONMENTS[environment]);
+  Object.keys(endpoints).forEach(function (name) {
+    var url = endpoints[name];
+    var protocols = ENDPOINT_PROTOCOLS[name];
+    if (!protocols) {
+      throw new Error("Unknown endpoint \"".concat(name, "\". Expected one of: ").concat(Object.keys(ENDPOINT_PROTOCOLS).join(", ")));
+    }
+    var parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      logger.debug("Could not parse %s endpoint:%s", name, error.message);
+    }
+    if (typeof url !== "string" || !parsed || !protocols.includes(parsed.protocol)) {
+      throw new Error("Invalid ".concat(name, " endpoint \"").concat(url, "\". Expected an absolute url starting with ").concat(protocols.join("// or "), "//"));
+    }
+    resolved[name] = url;
+  });
+  return resolved;
+}
+function jsonTypeMatches(type, value) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && (0, _typeof2["default"])(value) === "object" && !Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return (0, _typeof2["default"])(value) === type;
+  }
+}
+// Checks a topic payload against the JSON schema keywords topics need: type, enum, const,
+// properties, required, additionalProperties, items, min/maxLength, min/maxItems and minimum/maximum.
+// Returns the first problem found, or null.
+function validatePayload(schema, value) {
+  var path = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : "payload";
+  var types = [].concat(schema.type || []);
+  if (types.length && !types.some(function (type) {
+    return jsonTypeMatches(type, value);
+  })) {
+    return "".concat(path, " should be ").concat(types.join(" or "));
+  }
+  if (schema["enum"] && !schema["enum"].some(function (option) {
+    return JSON.stringify(option) === JSON.stringify(value);
+  })) {
+    return "".concat(path, " should be one of ").concat(JSON.stringify(schema["enum"]));
+  }
+  if ("const" in schema && JSON.stringify(schema["const"]) !== JSON.stringify(value)) {
+    return "".concat(path, " should be ").concat(JSON.stringify(schema["const"]));
+  }
+  if (typeof value === "string") {
+    if (value.length < (schema.minLength || 0)) return "".concat(path, " should have at least ").concat(schema.minLength, " characters");
+    if (value.length > schema.maxLength) return "".concat(path, " should have at most ").concat(schema.maxLength, " characters");
+  }
+  if (typeof value === "number") {
+    if (value < schema.minimum) return "".concat(path, " should be >= ").concat(schema.minimum);
+    if (value > schema.maximum) return "".concat(path, " should be <= ").concat(schema.maximum);
+  }
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems || 0)) return "".concat(path, " should have at least ").concat(schema.minItems, " items");
+    if (value.length > schema.maxItems) return "".concat(path, " should have at most ").concat(schema.maxItems, " items");
+    if (!schema.items) return null;
+    for (var i = 0; i < value.length; i++) {
+      var itemProblem = validatePayload(schema.items, value[i], "".concat(path, "[").concat(i, "]"));
+      if (itemProblem) return itemProblem;
+    }
+  } else if (jsonTypeMatches("object", value)) {
+    var properties = schema.properties || {};
+    var missing = (schema.required || []).find(function (key) {
+      return !(key in value);
+    });
+    if (missing) return "".concat(path, ".").concat(missing, " is required");
+    var keys = Object.keys(value);
+    for (var k = 0; k < keys.length; k++) {
+      var key = keys[k];
+      if (properties[key]) {
+        var propertyProblem = validatePayload(properties[key], value[key], "".concat(path, ".").concat(key));
+        if (propertyProblem) return propertyProblem;
+      } else if (schema.additionalProperties === false) {
+        return "".concat(path, ".").concat(key, " is not allowed");
+      }
+    }
+  }
+  return null;
+}
+
+// sendData() frames. Strings travel as JSON {to, data}; binary payloads as
+// [uint16 header length][JSON header {to}][payload bytes].
+function encodeDataMessage(payload, to) {
+  if (typeof payload === "string") return JSON.stringify({
+    to: to,
+    data: payload
+  });
+  var bytes = ArrayBuffer.isView(payload) ? new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength) : new Uint8Array(payload);
+  var header = new TextEncoder().encode(JSON.stringify({
+    to: to
+  }));
+  var frame = new Uint8Array(2 + header.length + bytes.length);
+  new DataView(frame.buffer).setUint16(0, header.length);
+  frame.set(header, 2);
+  frame.set(bytes, 2 + header.length);
+  return frame.buffer;
+}
+function decodeDataMessage(frame) {
+  if (typeof frame === "string") return JSON.parse(frame);
+  var headerLength = new DataView(frame).getUint16(0);
+  var header = JSON.parse(new TextDecoder().decode(new Uint8Array(frame, 2, headerLength)));
+  return {
+    to: header.to,
+    data: frame.slice(2 + headerLength)
+  };
+}
+
+// How this browser lets the SDK transform encoded media frames, or null when it can't.
+function e2eeSupport() {
+  if (typeof window === "undefined") return null;
+  if (window.RTCRtpScriptTransform) return "scriptTransform";
+  if (window.RTCRtpSender && window.RTCRtpSender.prototype.createEncodedStreams) return "encodedStreams";
+  return null;
+}
+function isE2EEKey(key) {
+  return (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) && E2EE_KEY_LENGTHS.includes(key.byteLength);
+}
+// Validates init()'s e2ee option; true enables E2EE with the key supplied later through setE2EEKey().
+function resolveE2EEOptions(e2ee) {
+  if (e2ee === undefined || e2ee === false) return null;
+  var options = e2ee === true ? {} : e2ee;
+  if (!jsonTypeMatches("object", options)) throw new Error("e2ee should be true or an object with a passphrase or a key");
+  if (options.passphrase !== undefined && (typeof options.passphrase !== "string" || !options.passphrase)) {
+    throw new Error("e2ee passphrase should be a non-empty string");
+  }
+  if (options.key !== undefined && !isE2EEKey(options.key)) {
+    throw new Error("e2ee key should be an ArrayBuffer or typed array of ".concat(E2EE_KEY_LENGTHS.join(" or "), " bytes"));
+  }
+  if (options.passphrase !== undefined && options.key !== undefined) throw new Error("e2ee takes either a passphrase or a key, not both");
+  if (!e2eeSupport()) throw new Error("E2EE needs RTCRtpScriptTransform or encoded insertable streams, which this browser doesn't support");
+  return {
+    passphrase: options.passphrase,
+    key: options.key
+  };
+}
+// Raw key bytes for the worker: derived from a passphrase (salted with the room, so every peer of it
+// derives the same key) or copied from the app's key.
+function e2eeKeyMaterial(options, salt) {
+  if (typeof options.passphrase === "string" && options.passphrase) {
+    var encoder = new TextEncoder();
+    return crypto.subtle.importKey("raw", encoder.encode(options.passphrase), "PBKDF2", false, ["deriveBits"]).then(function (baseKey) {
+      return crypto.subtle.deriveBits({
+        name: "PBKDF2",
+        salt: encoder.encode(salt),
+        iterations: E2EE_PBKDF2_ITERATIONS,
+        hash: "SHA-256"
+      }, baseKey, 256);
+    });
+  }
+  if (isE2EEKey(options.key)) {
+    var bytes = ArrayBuffer.isView(options.key) ? new Uint8Array(options.key.buffer, options.key.byteOffset, options.key.byteLength) : new Uint8Array(options.key);
+    return Promise.resolve(bytes.slice().buffer);
+  }
+  return Promise.reject(new Error("a non-empty passphrase or a key of ".concat(E2EE_KEY_LENGTHS.join(" or "), " bytes is required")));
+}
+
+/**
+ * Body of the E2EE worker, started from its source by createE2EEWorker(), so it
+ * must not use anything from outside itself.
+ *
+ * Frames are encrypted with AES-GCM and sent as
+ * [unencrypted header][ciphertext][12 byte IV][key index]. The header (the
+ * codec's first bytes, which the SFU and the decoder look at) stays in clear
+ * and is authenticated instead. Keys are shared by the room and kept by index;
+ * a frame using a newer index than the newest key is followed by ratcheting
+ * that key forward, the way rotateE2EEKey() made it.
+ *
+ * Posts {type: "status", trackId, peerId, status, keyIndex} per receiver and
+ * {type: "keyRotated", keyIndex, peerId}.
+ */
+function e2eeWorkerMain() {
+  var UNENCRYPTED_BYTES = {
+    key: 10,
+    delta: 3,
+    audio: 1
+  };
+  var IV_LENGTH = 12;
+  var TAG_LENGTH = 16;
+  var RATCHET_WINDOW = 8;
+  var KEYS_KEPT = 16;
+  var keys = new Map();
+  var currentKeyIndex = -1;
+  // trackId -> status of each receiver's transform.
+  var statuses = new Map();
+  function setStatus(options, status, keyIndex) {
+    if (statuses.get(options.trackId) === status) return;
+    statuses.set(options.trackId, status);
+    self.postMessage({
+      type: "status",
+      trackId: options.trackId,
+      peerId: options.peerId,
+      status: status,
+      keyIndex: keyIndex
+    });
+  }
+  function rememberKey(keyIndex, material) {
+    var entry = material.then(function (raw) {
+      return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]).then(function (key) {
+        return {
+          raw: raw,
+          key: key
+        };
+      });
+    });
+    keys["delete"](keyIndex);
+    keys.set(keyIndex, entry);
+    if (keys.size > KEYS_KEPT) keys["delete"](keys.keys().next().value);
+    return entry;
+  }
+  function ratchet(entry) {
+    return entry.then(function (current) {
+      var label = new TextEncoder().encode("samvyo-e2ee-ratchet");
+      var input = new Uint8Array(current.raw.byteLength + label.length);
+      input.set(new Uint8Array(current.raw));
+      input.set(label, current.raw.byteLength);
+      return crypto.subtle.digest("SHA-256", input).then(function (digest) {
+        return digest.slice(0, current.raw.byteLength);
+      });
+    });
+  }
+  function keyFor(keyIndex, peerId) {
+    if (keys.has(keyIndex)) return keys.get(keyIndex);
+    var steps = (keyIndex - currentKeyIndex + 256) % 256;
+    if (currentKeyIndex < 0 || steps > RATCHET_WINDOW) return null;
+    var entry = keys.get(currentKeyIndex);
+    for (var step = 1; step <= steps; step++) {
+      entry = rememberKey((currentKeyIndex + step) % 256, ratchet(entry));
+    }
+    currentKeyIndex = keyIndex;
+    self.postMessage({
+      type: "keyRotated",
+      keyIndex: keyIndex,
+      peerId: peerId
+    });
+    return entry;
+  }
+  function headerLength(frame, data) {
+    return Math.min(data.length, UNENCRYPTED_BYTES[frame.type] || UNENCRYPTED_BYTES.audio);
+  }
+  function encodeFrame(frame, controller) {
+    var data = new Uint8Array(frame.data);
+    if (!data.length) return controller.enqueue(frame);
+    var keyIndex = currentKeyIndex;
+    // Without a key nothing is sent, rather than sending media in clear.
+    if (!keys.has(keyIndex)) return undefined;
+    var clear = headerLength(frame, data);
+    var iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    return keys.get(keyIndex).then(function (entry) {
+      return crypto.subtle.encrypt({
+        name: "AES-GCM",
+        iv: iv,
+        additionalData: data.subarray(0, clear)
+      }, entry.key, data.subarray(clear));
+    }).then(function (cipher) {
+      var out = new Uint8Array(clear + cipher.byteLength + IV_LENGTH + 1);
+      out.set(data.subarray(0, clear));
+      out.set(new Uint8Array(cipher), clear);
+      out.set(iv, clear + cipher.byteLength);
+      out[out.length - 1] = keyIndex;
+      frame.data = out.buffer;
+      controller.enqueue(frame);
+    });
+  }
+  function decodeFrame(options, frame, controller) {
+    var data = new Uint8Array(frame.data);
+    if (!data.length) return controller.enqueue(frame);
+    var clear = headerLength(frame, data);
+    if (data.length < clear + TAG_LENGTH + IV_LENGTH + 1) return setStatus(options, "decryptionFailed");
+    var keyIndex = data[data.length - 1];
+    var ivStart = data.length - 1 - IV_LENGTH;
+    var entry = keyFor(keyIndex, options.peerId);
+    if (!entry) return setStatus(options, "missingKey", keyIndex);
+    return entry.then(function (current) {
+      return crypto.subtle.decrypt({
+        name: "AES-GCM",
+        iv: data.subarray(ivStart, data.length - 1),
+        additionalData: data.subarray(0, clear)
+      }, current.key, data.subarray(clear, ivStart));
+    }).then(function (plain) {
+      var out = new Uint8Array(clear + plain.byteLength);
+      out.set(data.subarray(0, clear));
+      out.set(new Uint8Array(plain), clear);
+      frame.data = out.buffer;
+      controller.enqueue(frame);
+      setStatus(options, "active", keyIndex);
+    }, function () {
+      setStatus(options, "decryptionFailed", keyIndex);
+    });
+  }
+  function transform(readable, writable, options) {
+    if (options.operation === "decode") statuses["delete"](options.trackId);
+    readable.pipeThrough(new TransformStream({
+      transform: function transform(frame, controller) {
+        return options.operation === "encode" ? encodeFrame(frame, controller) : decodeFrame(options, frame, controller);
+      }
+    })).pipeTo(writable)["catch"](function () {});
+  }
+  self.onrtctransform = function (event) {
+    transform(event.transformer.readable, event.transformer.writable, event.transformer.options);
+  };
+  self.onmessage = function (event) {
+    var message = event.data;
+    if (message.operation === "setKey") {
+      rememberKey(message.keyIndex, Promise.resolve(message.material));
+      currentKeyIndex = message.keyIndex;
+    } else if (message.operation === "rotate") {
+      if (currentKeyIndex >= 0) keyFor((currentKeyIndex + 1) % 256, null);
+    } else if (message.operation === "forget") {
+      statuses["delete"](message.trackId);
+    } else if (message.readable) {
+      transform(message.readable, message.writable, message);
+    }
+  };
+}
+function createE2EEWorker() {
+  var source = "(".concat(e2eeWorkerMain.toString(), ")();");
+  return new Worker(URL.createObjectURL(new Blob([source], {
+    type: "text/javascript"
+  })), {
+    name: "samvyo-e2ee"
+  });
+}
+
+/**
+ * Room chat, available as client.chat. Messages get their id from the server,
+ * which acknowledges each one sent; the last messages of the room are replayed
+ * on join. Private messages are kept in one thread per peer.
+ *
+ * Message: {messageId, clientMessageId, from, to, toRole, text, timestamp,
+ * private, room, status: "sending"|"delivered"|"failed", local, replayed}
+ *
+ * Events: "message" for every message added (own ones included), "status"
+ * when the delivery status of an own message changes, "historyReplayed".
+ */
+var Chat = /*#__PURE__*/function (_EventEmitter) {
+  function Chat(client) {
+    var _this;
+    (0, _classCallCheck2["default"])(this, Chat);
+    _this = _callSuper(this, Chat);
+    _this._client = client;
+    // Public messages of every room this peer was in, oldest first.
+    _this._messages = [];
+    // peerId -> private messages exchanged with that peer, oldest first.
+    _this._threads = new Map();
+    // role -> messages addressed to everyone with that role, e.g. a moderators-only backchannel.
+    _this._roleThreads = new Map();
+    // clientMessageId -> message, to match acks, echoes and replays with what is already there.
+    _this._byClientId = new Map();
+    return _this;
+  }
+  (0, _inherits2["default"])(Chat, _EventEmitter);
+  return (0, _createClass2["default"])(Chat, [{
+    key: "messages",
+    get: function get() {
+      var room = this._client._currentBreakoutRoom;
+      return this._messages.filter(function (message) {
+        return message.room === room;
+      });
+    },
+    set: function set(data) {
+      throw new Error("Setting of messages is not possible!");
+    }
+  }, {
+    key: "threads",
+    get: function get() {
+      return Array.from(this._threads.keys());
+    },
+    set: function set(data) {
+      throw new Error("Setting of threads is not possible!");
+    }
+  }, {
+    key: "getThread",
+    value: function getThread(peerId) {
+      return (this._threads.get(peerId) || []).slice();
+    }
+  }, {
+    key: "getRoleThread",
+    value: function getRoleThread(role) {
+      return (this._roleThreads.get(role) || []).slice();
+    }
+  }, {
+    key: "onMessage",
+    value:
+    /**
+     * Subscribe to chat messages, own ones and replayed history included.
+     *
+     * @param {Function} callback - called with the message.
+     *
+     * @returns {Function} Unsubscribes the callback.
+     */
+    function onMessage(callback) {
+      var _this13 = this;
+      this.on("message", callback);
+      return function () {
+        _this13.removeListener("message", callback);
+      };
+    }
+  }, {
+    key: "send",
+    value:
+    /**
+     * Send a chat message to the room, or privately to one peer.
+     *
+     * @param {String} text
+     * @param {Object} [options]
+     * @param {String} [options.to] - peerId of the recipient of a private message.
+     * @param {String} [options.toRole] - send to every peer with this role instead.
+     *
+     * @returns {Promise<Object>} Resolves with {success, message} once the server
+     * acknowledged the message, or with an error once it failed.
+     */
+    function send(text) {
+      var _ref45 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref45$to = _ref45.to,
+        to = _ref45$to === void 0 ? null : _ref45$to,
+        _ref45$toRole = _ref45.toRole,
+        toRole = _ref45$toRole === void 0 ? null : _ref45$toRole;
+      var client = this._client;
+      if (client._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "CHID001",
+          text: "Error while trying to send chat message as room not in connected status. Current room status:!".concat(client._roomStatus)
+        });
+      }
+      if (typeof text !== "string" || !text.trim()) {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "CHID002",
+          text: "Error while trying to send chat message. The message is empty."
+        });
+      }
+      if (text.length > CHAT_MESSAGE_MAX_LENGTH) {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "CHID003",
+          text: "Error while trying to send chat message. Messages are limited to ".concat(CHAT_MESSAGE_MAX_LENGTH, " characters.")
+        });
+      }
+      if (to && toRole || toRole && !MESSAGE_ROLES.includes(toRole)) {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "CHID006",
+          text: "Error while trying to send chat message. Address either a peer (to) or one of the roles ".concat(MESSAGE_ROLES.join(", "), " (toRole).")
+        });
+      }
+      var policy = client._checkRoomSettings("chat");
+      if (policy) return Promise.resolve(policy);
+      var message = this._add({
+        messageId: null,
+        clientMessageId: (0, _uuidv.uuidv4)(),
+        from: client.data.inputParams.peerId,
+        to: to,
+        toRole: toRole,
+        text: text,
+        timestamp: Date.now(),
+        "private": Boolean(to || toRole),
+        room: client._currentBreakoutRoom,
+        status: "sending",
+        local: true,
+        replayed: false
+      });
+      return this._deliver(message);
+    }
+  }, {
+    key: "retry",
+    value: function retry(clientMessageId) {
+      var message = this._byClientId.get(clientMessageId);
+      if (!message || !message.local || message.status !== "failed") {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "CHID005",
+          text: "Error while trying to resend chat message. No failed message with this id."
+        });
+      }
+      this._setStatus(message, "sending");
+      return this._deliver(message);
+    }
+  }, {
+    key: "_deliver",
+    value: function _deliver(message) {
+      var _this14 = this;
+      var client = this._client;
+      logger.debug("Sending chat message [clientMessageId:%s]", message.clientMessageId);
+      return client._sendRequest({
+        id: "chatMessage",
+        peerId: message.from,
+        roomName: client.data.inputParams.roomId,
+        clientMessageId: message.clientMessageId,
+        text: message.text,
+        recieverPeerId: message.to,
+        recieverRole: message.toRole,
+        // Chat goes through the server's history, so it gets the role's members to route to.
+        recieverPeerIds: message.toRole ? client._audiencePeerIds({
+          recieverRole: message.toRole
+        }) : null,
+        breakOutRoom: message.room
+      }, "chatMessageAck").then(function (ack) {
+        if (ack.success === false) throw new Error(ack.reason || "rejected by the server");
+        message.messageId = ack.messageId;
+        if (ack.timestamp) message.timestamp = ack.timestamp;
+        _this14._setStatus(message, "delivered");
+        return {
+          success: true,
+          message: message
+        };
+      })["catch"](function (error) {
+        logger.error("Chat message failed [clientMessageId:%s]:%s", message.clientMessageId, error.message);
+        _this14._setStatus(message, "failed");
+        return {
+          success: false,
+          error: true,
+          code: "CHID004",
+          text: "Error while trying to send chat message. ".concat(error.message),
+          message: message
+        };
+      });
+    }
+  }, {
+    key: "_receive",
+    value: function _receive(raw) {
+      var client = this._client;
+      if (!client._isCurrentRoom(raw.breakOutRoom)) {
+        logger.debug("Chat message for another room:%s", raw.breakOutRoom);
+        return;
+      }
+      if (!client._isAddressedToMe(raw)) return;
+      var known = this._byClientId.get(raw.clientMessageId);
+      if (known) {
+        // Our own message echoed back, possibly ahead of its ack.
+        if (!known.messageId) known.messageId = raw.messageId;
+        if (known.local && known.status === "sending") this._setStatus(known, "delivered");
+        return;
+      }
+      this._add(this._fromServer(raw, false));
+    }
+  }, {
+    key: "_replayHistory",
+    value: function _replayHistory(history) {
+      var _this15 = this;
+      var replayed = (history || []).filter(function (raw) {
+        return !_this15._byClientId.has(raw.clientMessageId) && _this15._client._isAddressedToMe(raw);
+      }).map(function (raw) {
+        return _this15._add(_this15._fromServer(raw, true));
+      });
+      if (!replayed.length) return;
+      logger.info("Replayed %s chat messages", replayed.length);
+      this.emit("historyReplayed", {
+        messages: replayed
+      });
+    }
+  }, {
+    key: "_fromServer",
+    value: function _fromServer(raw, replayed) {
+      var myPeerId = this._client.data.inputParams.peerId;
+      var from = raw.peerId || raw.from;
+      return {
+        messageId: raw.messageId,
+        clientMessageId: raw.clientMessageId || raw.messageId,
+        from: from,
+        to: raw.recieverPeerId || null,
+        toRole: raw.recieverRole || null,
+        text: raw.text,
+        timestamp: raw.timestamp || Date.now(),
+        "private": Boolean(raw.recieverPeerId || raw.recieverRole),
+        room: raw.breakOutRoom === undefined ? this._client._currentBreakoutRoom : raw.breakOutRoom || null,
+        status: "delivered",
+        local: from === myPeerId,
+        replayed: replayed
+      };
+    }
+  }, {
+    key: "_add",
+    value: function _add(message) {
+      var list = this._messages;
+      if (message.toRole) {
+        if (!this._roleThreads.has(message.toRole)) this._roleThreads.set(message.toRole, []);
+        list = this._roleThreads.get(message.toRole);
+      } else if (message["private"]) {
+        var peerId = message.local ? message.to : message.from;
+        if (!this._threads.has(peerId)) this._threads.set(peerId, []);
+        list = this._threads.get(peerId);
+      }
+      list.push(message);
+      this._byClientId.set(message.clientMessageId, message);
+      if (list.length > CHAT_STORE_LIMIT) this._byClientId["delete"](list.shift().clientMessageId);
+      this.emit("message", message);
+      return message;
+    }
+  }, {
+    key: "_setStatus",
+    value: function _setStatus(message, status) {
+      message.status = status;
+      this.emit("status", message);
+    }
+  }]);
+}(_events.EventEmitter);
+// "roomId|peerId" entries a moderator removed with a rejoin ban. Kept at module level so the ban outlives the JsSdk instance.
+// This is only a client-side courtesy check: it is lost on reload and never matches a fresh peerId, so the server has to
+// enforce the ban itself (logMeOut carries banFromRejoin for that).
+var bannedPeers = new Set();
 var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
   function JsSdk(_ref) {
     var _this;
     var _peerId = _ref.peerId,
       roomId = _ref.roomId,
-      outputData = _ref.outputData;
+      outputData = _ref.outputData,
+      reconnectOptions = _ref.reconnectOptions,
+      _ref$tokenOptions = _ref.tokenOptions,
+      tokenOptions = _ref$tokenOptions === void 0 ? {} : _ref$tokenOptions,
+      rateLimits = _ref.rateLimits,
+      e2ee = _ref.e2ee;
     (0, _classCallCheck2["default"])(this, JsSdk);
     _this = _callSuper(this, JsSdk);
     (0, _defineProperty2["default"])(_this, "joinRoom", /*#__PURE__*/(0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
@@ -191,6 +1030,13 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           case 0:
             _ref3 = _args.length > 0 && _args[0] !== undefined ? _args[0] : {}, _ref3$peerName = _ref3.peerName, peerName = _ref3$peerName === void 0 ? null : _ref3$peerName, _ref3$produce = _ref3.produce, produce = _ref3$produce === void 0 ? true : _ref3$produce, _ref3$produceAudio = _ref3.produceAudio, produceAudio = _ref3$produceAudio === void 0 ? true : _ref3$produceAudio, _ref3$produceVideo = _ref3.produceVideo, produceVideo = _ref3$produceVideo === void 0 ? true : _ref3$produceVideo, _ref3$consume = _ref3.consume, consume = _ref3$consume === void 0 ? true : _ref3$consume, _ref3$videoResolution = _ref3.videoResolution, videoResolution = _ref3$videoResolution === void 0 ? "hd" : _ref3$videoResolution, _ref3$forceVp = _ref3.forceVp8, forceVp8 = _ref3$forceVp === void 0 ? false : _ref3$forceVp, _ref3$forceVp2 = _ref3.forceVp9, forceVp9 = _ref3$forceVp2 === void 0 ? false : _ref3$forceVp2, _ref3$forceH = _ref3.forceH264, forceH264 = _ref3$forceH === void 0 ? false : _ref3$forceH, _ref3$h264Profile = _ref3.h264Profile, h264Profile = _ref3$h264Profile === void 0 ? "high" : _ref3$h264Profile, _ref3$forcePCMU = _ref3.forcePCMU, forcePCMU = _ref3$forcePCMU === void 0 ? false : _ref3$forcePCMU, _ref3$forcePCMA = _ref3.forcePCMA, forcePCMA = _ref3$forcePCMA === void 0 ? false : _ref3$forcePCMA, _ref3$forceFPS = _ref3.forceFPS, forceFPS = _ref3$forceFPS === void 0 ? 25 : _ref3$forceFPS, _ref3$enableWebcamLay = _ref3.enableWebcamLayers, enableWebcamLayers = _ref3$enableWebcamLay === void 0 ? true : _ref3$enableWebcamLay, _ref3$numSimulcastStr = _ref3.numSimulcastStreams, numSimulcastStreams = _ref3$numSimulcastStr === void 0 ? 3 : _ref3$numSimulcastStr, _ref3$autoGainControl = _ref3.autoGainControl, autoGainControl = _ref3$autoGainControl === void 0 ? true : _ref3$autoGainControl, _ref3$echoCancellatio = _ref3.echoCancellation, echoCancellation = _ref3$echoCancellatio === void 0 ? true : _ref3$echoCancellatio, _ref3$noiseSuppressio = _ref3.noiseSuppression, noiseSuppression = _ref3$noiseSuppressio === void 0 ? true : _ref3$noiseSuppressio, _ref3$sampleRate = _ref3.sampleRate, sampleRate = _ref3$sampleRate === void 0 ? 44000 : _ref3$sampleRate, _ref3$channelCount = _ref3.channelCount, channelCount = _ref3$channelCount === void 0 ? 1 : _ref3$channelCount, _ref3$videoBitRates = _ref3.videoBitRates, videoBitRates = _ref3$videoBitRates === void 0 ? [700, 250, 75] : _ref3$videoBitRates, _ref3$share = _ref3.share, share = _ref3$share === void 0 ? false : _ref3$share, _ref3$shareAudio = _ref3.shareAudio, shareAudio = _ref3$shareAudio === void 0 ? false : _ref3$shareAudio, _ref3$enableSharingLa = _ref3.enableSharingLayers, enableSharingLayers = _ref3$enableSharingLa === void 0 ? true : _ref3$enableSharingLa, _ref3$shareBitRates = _ref3.shareBitRates, shareBitRates = _ref3$shareBitRates === void 0 ? [2500, 1250, 500] : _ref3$shareBitRates, _ref3$audioDeviceId = _ref3.audioDeviceId, audioDeviceId = _ref3$audioDeviceId === void 0 ? null : _ref3$audioDeviceId, _ref3$videoDeviceId = _ref3.videoDeviceId, videoDeviceId = _ref3$videoDeviceId === void 0 ? null : _ref3$videoDeviceId, _ref3$peerType = _ref3.peerType, peerType = _ref3$peerType === void 0 ? "participant" : _ref3$peerType, _ref3$roomType = _ref3.roomType, roomType = _ref3$roomType === void 0 ? _constants._security.roomType.CONFERENCING : _ref3$roomType, _ref3$authenticationR = _ref3.authenticationRequired, authenticationRequired = _ref3$authenticationR === void 0 ? false : _ref3$authenticationR, _ref3$password = _ref3.password, password = _ref3$password === void 0 ? null : _ref3$password, _ref3$roomDisplayName = _ref3.roomDisplayName, roomDisplayName = _ref3$roomDisplayName === void 0 ? null : _ref3$roomDisplayName;
             logger.info("Going to join room");
+            if (!bannedPeers.has("".concat(_this.data.inputParams.roomId, "|").concat(_this.data.inputParams.peerId))) {
+              _context.next = 5;
+              break;
+            }
+            logger.error("Peer is banned from rejoining this room!");
+            throw _this._joinFailed("RKID004", "banned", "Error while trying to join room. This participant was removed from the room and can't rejoin.");
+          case 5:
             if (!["hd", "vga", "qvga"].includes(videoResolution)) {
               logger.warn("Invalid video resolution value. setting it to default value of 'hd' ");
               videoResolution = "hd";
@@ -358,11 +1204,11 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               authenticationRequired: authenticationRequired,
               isRoomPassword: password ? true : false,
               roomPassword: password || null,
+              chatHistoryLimit: CHAT_HISTORY_LIMIT,
               usageType: "sdk"
             };
             _this._sendMessage(message);
-            _context.next = 46;
-            break;
+            return _context.abrupt("return", _this._waitForJoin());
           case 42:
             _context.prev = 42;
             _context.t0 = _context["catch"](34);
@@ -377,8 +1223,128 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         }
       }, _callee, null, [[34, 42]]);
     })));
+    (0, _defineProperty2["default"])(_this, "_waitForJoin", function () {
+      var timeout = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : JOIN_TIMEOUT;
+      var previousJoin = _this._pendingJoin;
+      if (previousJoin) {
+        // Settle the earlier joinRoom() call instead of leaving its caller waiting forever.
+        clearTimeout(previousJoin.timer);
+        var error = new Error("Error while trying to join room. A newer joinRoom() call replaced this one.");
+        error.code = "RJID006";
+        error.type = "superseded";
+        error.text = error.message;
+        previousJoin.reject(error);
+      }
+      return new Promise(function (resolve, reject) {
+        _this._pendingJoin = {
+          resolve: resolve,
+          reject: reject,
+          timer: setTimeout(function () {
+            _this._joinFailed("RJID004", "timeout", "Error while trying to join room. The server did not answer in time.");
+          }, timeout)
+        };
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_joinFailed", function (code, type, text) {
+      var error = new Error(text);
+      error.code = code;
+      error.type = type;
+      error.text = text;
+      logger.error("Join room failed:%O", {
+        code: code,
+        type: type,
+        text: text
+      });
+      _this.emit("joinError", {
+        code: code,
+        type: type,
+        text: text
+      });
+      var pendingJoin = _this._pendingJoin;
+      if (pendingJoin) {
+        clearTimeout(pendingJoin.timer);
+        _this._pendingJoin = null;
+        pendingJoin.reject(error);
+      }
+      return error;
+    });
+    (0, _defineProperty2["default"])(_this, "_joinSucceeded", function (msg) {
+      var pendingJoin = _this._pendingJoin;
+      if (!pendingJoin) return;
+      clearTimeout(pendingJoin.timer);
+      _this._pendingJoin = null;
+      var result = {
+        success: true,
+        roomId: _this.data.inputParams.roomId,
+        peerId: _this.data.inputParams.peerId,
+        roomDisplayName: msg.roomDisplayName,
+        peers: (msg.peers || []).map(function (peer) {
+          return {
+            peerId: peer.peerId,
+            peerName: peer.name,
+            peerRole: peer.participantType
+          };
+        })
+      };
+      _this.emit("joinSuccess", result);
+      pendingJoin.resolve(result);
+    });
+    (0, _defineProperty2["default"])(_this, "_setSocketState", function (state) {
+      _this._socketState = state;
+      _this._updateConnectionState();
+    });
+    (0, _defineProperty2["default"])(_this, "_setTransportState", function (direction, state) {
+      _this._transportStates[direction] = state;
+      _this._updateConnectionState();
+    });
+    (0, _defineProperty2["default"])(_this, "_updateConnectionState", function () {
+      var previousState = _this._connectionState;
+      var state = _this._socketState;
+      // A live socket with a dropped media transport is still recovering through ICE restarts.
+      if (state === "connected" && Object.values(_this._transportStates).some(function (transportState) {
+        return transportState === "disconnected" || transportState === "failed";
+      })) {
+        state = "reconnecting";
+      }
+      if (state === previousState) return;
+      _this._connectionState = state;
+      logger.info("Connection state changed from %s to %s", previousState, state);
+      _this.emit("connectionStateChanged", {
+        state: state,
+        previousState: previousState
+      });
+      if (state === "reconnecting") {
+        _this.emit("reconnecting", _objectSpread({}, _this._reconnectInfo));
+      } else if (state === "connected" && previousState === "reconnecting") {
+        _this.emit("reconnected", {
+          attempts: _this._reconnectInfo.attempt
+        });
+      }
+      if (state === "connected") _this._reconnectInfo = {
+        attempt: 0,
+        delay: 0
+      };
+    });
+    // "joinDenied" is the server's answer to the waiting peer. A relayed "userDenied" (the moderator's
+    // own message) is honoured only when it names this peer.
+    (0, _defineProperty2["default"])(_this, "handleJoinDenied", function (message) {
+      logger.info("Moderator denied the join request:%O", message);
+      if (!_this._pendingJoin) return;
+      if (message.id === "userDenied" && message.peerId !== _this.data.inputParams.peerId) return;
+      _this._joinFailed("RJID001", "authDenied", message.reason ? "Error while trying to join room. The moderator denied the request: ".concat(message.reason) : "Error while trying to join room. The moderator denied the request.");
+    });
+    (0, _defineProperty2["default"])(_this, "handleInvalidPassword", function (message) {
+      logger.info("Room password rejected:%O", message);
+      if (!_this._pendingJoin) return;
+      _this._joinFailed("RJID002", "wrongPassword", "Error while trying to join room. The room password is incorrect.");
+    });
     (0, _defineProperty2["default"])(_this, "authenticateUser", function (message) {
       logger.info("Moderator authentication requested:%O", message);
+      _this._addWaitingPeer({
+        peerId: message.requesterPeerId,
+        peerName: message.requesterName,
+        text: message.title
+      });
       _this.emit("moderatorAuthentication", {
         moderatorName: message.moderatorName,
         requesterName: message.requesterName,
@@ -389,6 +1355,13 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     (0, _defineProperty2["default"])(_this, "authenticationRequested", function (message) {
       //logger.debug('ConferenceRoom','user authentication dialog to be triggered');
       logger.info("Moderator authentication requested:%O", message);
+      // A moderator has to answer now, so give them longer than the server would need.
+      if (_this._pendingJoin) {
+        clearTimeout(_this._pendingJoin.timer);
+        _this._pendingJoin.timer = setTimeout(function () {
+          _this._joinFailed("RJID004", "timeout", "Error while trying to join room. No moderator answered the join request in time.");
+        }, JOIN_AUTH_TIMEOUT);
+      }
       _this.emit("authenticationRequested", {
         requesterName: message.requesterName,
         requesterPeerId: _this.data.inputParams.peerId,
@@ -411,8 +1384,10 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         moderator: _this.data.inputParams.peerId
       };
       _this._sendMessage(message);
+      _this._removeWaitingPeers([peerId]);
     });
     (0, _defineProperty2["default"])(_this, "denyRoomJoin", function (peerId) {
+      var reason = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
       if (!peerId) {
         logger.error("peerId can't be undefined!");
         return {
@@ -426,41 +1401,1700 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         id: "userDenied",
         peerId: peerId,
         roomName: _this.data.inputParams.roomId,
-        moderator: _this.data.inputParams.peerId
+        moderator: _this.data.inputParams.peerId,
+        reason: reason
       };
       _this._sendMessage(message);
+      _this._removeWaitingPeers([peerId]);
     });
     (0, _defineProperty2["default"])(_this, "hideUserAuthenticationDialog", function (message) {
       logger.debug("authentication already done message:%o", message);
+      _this._removeWaitingPeers([message.requesterId]);
       _this.emit("moderatorAuthStatus", {
         requesterId: message.requesterId,
         moderatorActed: message.peerId
       });
     });
-    (0, _defineProperty2["default"])(_this, "sendCustomMessage", function (data) {
-      var type = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "general";
-      var recieverPeerId = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
-      var senderType = arguments.length > 3 ? arguments[3] : undefined;
-      var messageType = arguments.length > 4 ? arguments[4] : undefined;
-      var customData = arguments.length > 5 && arguments[5] !== undefined ? arguments[5] : {};
-      var message = {
-        id: "customMessage",
-        peerId: _this.data.inputParams.peerId,
-        roomName: _this.data.inputParams.roomId,
-        data: data,
-        type: type,
-        recieverPeerId: recieverPeerId,
-        senderType: senderType,
-        messageType: messageType,
-        customData: customData
-      };
-      logger.debug("Room sendCustomMessage", message);
-      _this._sendMessage(message);
+    (0, _defineProperty2["default"])(_this, "lockRoom", function () {
+      return _this._setRoomLock(true);
     });
-    (0, _defineProperty2["default"])(_this, "processCustomMessage", function (message) {
-      logger.debug("Room processCustomMessage", message);
+    (0, _defineProperty2["default"])(_this, "unlockRoom", function () {
+      return _this._setRoomLock(false);
+    });
+    (0, _defineProperty2["default"])(_this, "_setRoomLock", function (locked) {
+      var action = locked ? "lock" : "unlock";
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RLID001",
+          text: "Error while trying to ".concat(action, " room as room not in connected status. Current room status:!").concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can lock or unlock the room!");
+        return {
+          success: false,
+          error: true,
+          code: "RLID002",
+          text: "Error while trying to ".concat(action, " room. Only a moderator can lock or unlock the room.")
+        };
+      }
+      if (_this._roomLocked === locked) {
+        logger.debug("Room is already %sed!", action);
+        return {
+          success: false,
+          warning: true,
+          code: "RLWID001",
+          text: "Error while trying to ".concat(action, " room. Room is already ").concat(action, "ed!")
+        };
+      }
+      var message = {
+        id: "lockUnlockRoom",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        locked: locked
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "admit", function (peerId) {
+      var check = _this._checkWaitingPeerAction("admit", peerId);
+      if (check) return check;
+      _this.allowRoomJoin(peerId);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "admitAll", function () {
+      var check = _this._checkWaitingPeerAction("admit");
+      if (check) return check;
+      _this._waitingPeers.map(function (peer) {
+        return peer.peerId;
+      }).forEach(function (peerId) {
+        _this.allowRoomJoin(peerId);
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "reject", function (peerId) {
+      var reason = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+      var check = _this._checkWaitingPeerAction("reject", peerId);
+      if (check) return check;
+      _this.denyRoomJoin(peerId, reason);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "_checkWaitingPeerAction", function (action, peerId) {
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can %s waiting peers!", action);
+        return {
+          success: false,
+          error: true,
+          code: "RLID003",
+          text: "Error while trying to ".concat(action, " waiting peer. Only a moderator can ").concat(action, " waiting peers.")
+        };
+      }
+      if (peerId === undefined) return null;
+      if (!_this._waitingPeers.some(function (peer) {
+        return peer.peerId === peerId;
+      })) {
+        logger.debug("Peer is not waiting:%s", peerId);
+        return {
+          success: false,
+          warning: true,
+          code: "RLWID002",
+          text: "Error while trying to ".concat(action, " waiting peer. No waiting peer found with peerId:").concat(peerId)
+        };
+      }
+      return null;
+    });
+    (0, _defineProperty2["default"])(_this, "_addWaitingPeer", function (peer) {
+      if (!peer.peerId || _this._waitingPeers.some(function (waitingPeer) {
+        return waitingPeer.peerId === peer.peerId;
+      })) return;
+      _this._waitingPeers = _this._waitingPeers.concat(peer);
+      _this.emit("waitingPeersChanged", {
+        waitingPeers: _this._waitingPeers
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_removeWaitingPeers", function (peerIds) {
+      var waitingPeers = _this._waitingPeers.filter(function (peer) {
+        return !peerIds.includes(peer.peerId);
+      });
+      if (waitingPeers.length === _this._waitingPeers.length) return;
+      _this._waitingPeers = waitingPeers;
+      _this.emit("waitingPeersChanged", {
+        waitingPeers: _this._waitingPeers
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleLockUnlockRoom", function (message) {
+      logger.debug("Lock unlock room message:%O", message);
+      _this._roomLocked = !!message.locked;
+      _this.emit("roomLockChanged", {
+        locked: _this._roomLocked,
+        peerId: message.peerId
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handlePeersWaiting", function (message) {
+      logger.debug("Peers waiting message:%O", message);
+      // The server sends the complete waiting list, so it replaces ours.
+      _this._waitingPeers = (message.peers || []).map(function (peer) {
+        return {
+          peerId: peer.peerId || peer.requesterPeerId,
+          peerName: peer.peerName || peer.requesterName,
+          text: peer.title
+        };
+      });
+      _this.emit("waitingPeersChanged", {
+        waitingPeers: _this._waitingPeers
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "muteParticipant", function (peerId) {
+      var check = _this._checkMediaControl("mute participant", peerId);
+      if (check) return check;
+      _this._sendMessage({
+        id: "toggleMyMic",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId,
+        audioStatus: false
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "requestUnmute", function (peerId) {
+      var check = _this._checkMediaControl("request unmute", peerId);
+      if (check) return check;
+      // The target only gets a prompt; unmuting stays the participant's decision.
+      _this._sendMessage({
+        id: "toggleMyMic",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId,
+        audioStatus: true
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "muteAll", function () {
+      var _ref = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+        _ref$exceptModerators = _ref.exceptModerators,
+        exceptModerators = _ref$exceptModerators === void 0 ? false : _ref$exceptModerators;
+      var check = _this._checkMediaControl("mute all");
+      if (check) return check;
+      _this._sendMessage({
+        id: "switchMicOff",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        exceptModerators: exceptModerators
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "stopParticipantCamera", function (peerId) {
+      var check = _this._checkMediaControl("stop participant camera", peerId);
+      if (check) return check;
+      _this._sendMessage({
+        id: "toggleMyCamera",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId,
+        videoStatus: false
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "_checkMediaControl", function (action, peerId) {
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RMID001",
+          text: "Error while trying to ".concat(action, " as room not in connected status. Current room status:!").concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can %s!", action);
+        return {
+          success: false,
+          error: true,
+          code: "RMID002",
+          text: "Error while trying to ".concat(action, ". Only a moderator can control the media of other participants.")
+        };
+      }
+      if (peerId !== undefined && !_this._peers.has(peerId)) {
+        logger.error("Peer not found:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "RMID003",
+          text: "Error while trying to ".concat(action, ". No participant found with peerId:").concat(peerId)
+        };
+      }
+      return null;
+    });
+    (0, _defineProperty2["default"])(_this, "toggleMyMic", function (message) {
+      logger.debug("Toggle my mic message:%O", message);
+      var moderatorPeerId = message.peerId;
+      if (message.audioStatus) {
+        _this.emit("unmuteRequested", {
+          moderatorPeerId: moderatorPeerId
+        });
+        return;
+      }
+      _this._muteByModerator(moderatorPeerId);
+    });
+    (0, _defineProperty2["default"])(_this, "handleSwitchMicOff", function (message) {
+      logger.debug("Switch mic off message:%O", message);
+      if (message.peerId === _this.data.inputParams.peerId) return;
+      if (message.exceptModerators && _this.data.inputParams.peerType === "moderator") return;
+      _this._muteByModerator(message.peerId);
+    });
+    (0, _defineProperty2["default"])(_this, "_muteByModerator", function (moderatorPeerId) {
+      if (!_this._micProducer || _this._micProducer.paused) {
+        logger.debug("Mic is already muted!");
+        return;
+      }
+      _this.muteMic().then(function () {
+        _this.emit("mutedByModerator", {
+          moderatorPeerId: moderatorPeerId
+        });
+      })["catch"](function (error) {
+        logger.error("Mute requested by moderator failed:%O", error);
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleScreenShareLimitReached", function (message) {
+      logger.warn("Screen share limit reached:%O", message);
+      // Mic and camera produce concurrently with the share; only the share's request is refused.
+      var requestId = message.requestId || _this._queue.find("sendTrackResponse", function (request) {
+        return Boolean(request.appData) && [_constants.STREAM_TYPE_SCREEN_VIDEO, _constants.STREAM_TYPE_SCREEN_AUDIO].includes(request.appData.mediaTag);
+      });
+      var error = new Error(message.text || "Screen share limit reached");
+      error.code = "SSID001";
+      // enableShare() reports the denial once its pending produce request fails.
+      if (!requestId || !_this._queue.reject(requestId, error)) _this._screenShareDenied(false);
+    });
+    (0, _defineProperty2["default"])(_this, "_getScreenSharers", function () {
+      return _this._screenSharers.map(function (peerId) {
+        var peer = _this._peers.get(peerId);
+        return {
+          peerId: peerId,
+          peerName: peer ? peer.displayName : null
+        };
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_setScreenSharer", function (peerId, sharing) {
+      _this._screenSharers = _this._screenSharers.filter(function (id) {
+        return id !== peerId;
+      });
+      if (sharing) _this._screenSharers.push(peerId);
+    });
+    (0, _defineProperty2["default"])(_this, "_screenShareDenied", function (takeover) {
+      var sharers = _this._getScreenSharers();
+      var result = {
+        success: false,
+        error: true,
+        code: "SSID001",
+        text: "Error while trying to start screen share. The room's screen share limit has been reached.",
+        sharers: sharers,
+        takeoverRequested: false
+      };
+      if (takeover) {
+        _this._sendMessage({
+          id: "screenShareTakeoverReq",
+          peerId: _this.data.inputParams.peerId,
+          roomName: _this.data.inputParams.roomId,
+          peerName: _this.data.inputParams.peerName,
+          targetPeerIds: sharers.map(function (sharer) {
+            return sharer.peerId;
+          })
+        });
+        result.takeoverRequested = true;
+      }
+      _this.emit("screenShareDenied", {
+        code: result.code,
+        text: result.text,
+        sharers: sharers,
+        takeoverRequested: result.takeoverRequested
+      });
+      return result;
+    });
+    (0, _defineProperty2["default"])(_this, "handleScreenShareTakeoverReq", function (message) {
+      logger.debug("Screen share takeover request:%O", message);
+      var peerId = message.peerId,
+        peerName = message.peerName,
+        targetPeerIds = message.targetPeerIds;
+      // Current presenters and moderators can hand the screen over.
+      var myPeerId = _this.data.inputParams.peerId;
+      if (!(targetPeerIds || []).includes(myPeerId) && _this.data.inputParams.peerType !== "moderator") return;
+      if (!_this._shareTakeoverRequests.includes(peerId)) _this._shareTakeoverRequests.push(peerId);
+      _this.emit("screenShareTakeoverRequested", {
+        peerId: peerId,
+        peerName: peerName
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "approveShareTakeover", function (peerId) {
+      if (!_this._shareTakeoverRequests.includes(peerId)) {
+        logger.error("No takeover request from peer:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "SSID002",
+          text: "Error while trying to approve screen share takeover. No takeover request found from peerId:".concat(peerId)
+        };
+      }
+      if (_this._shareProducer) {
+        _this.disableShare()["catch"](function (error) {
+          logger.error("Stopping own share for takeover failed:%O", error);
+        });
+      } else if (_this.data.inputParams.peerType === "moderator" && _this._screenSharers.length) {
+        // Free the slot of the peer who has been sharing the longest.
+        var result = _this.stopParticipantShare(_this._screenSharers[0]);
+        if (!result.success) return result;
+      } else {
+        logger.error("Can't hand over screen share:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "SSID003",
+          text: "Error while trying to approve screen share takeover. Only a moderator or a presenter can hand over the screen share."
+        };
+      }
+      return _this._respondToShareTakeover(peerId, true);
+    });
+    (0, _defineProperty2["default"])(_this, "denyShareTakeover", function (peerId) {
+      if (!_this._shareTakeoverRequests.includes(peerId)) {
+        logger.error("No takeover request from peer:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "SSID002",
+          text: "Error while trying to deny screen share takeover. No takeover request found from peerId:".concat(peerId)
+        };
+      }
+      return _this._respondToShareTakeover(peerId, false);
+    });
+    (0, _defineProperty2["default"])(_this, "_respondToShareTakeover", function (peerId, approved) {
+      _this._shareTakeoverRequests = _this._shareTakeoverRequests.filter(function (id) {
+        return id !== peerId;
+      });
+      _this._sendMessage({
+        id: "screenShareTakeoverRes",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId,
+        approved: approved
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "handleScreenShareTakeoverRes", function (message) {
+      logger.debug("Screen share takeover response:%O", message);
+      // Screen capture needs a user gesture, so the app calls enableShare() again once approved.
+      _this.emit(message.approved ? "screenShareTakeoverApproved" : "screenShareTakeoverDenied", {
+        peerId: message.peerId
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "stopParticipantShare", function (peerId) {
+      var check = _this._checkMediaControl("stop screen share", peerId);
+      if (check) return check;
+      if (!_this._screenSharers.includes(peerId)) {
+        return {
+          success: false,
+          warning: true,
+          code: "SSWID001",
+          text: "Participant is not sharing the screen:".concat(peerId)
+        };
+      }
+      _this._sendMessage({
+        id: "stopScreenShare",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "handleStopScreenShare", function (message) {
+      logger.debug("Stop screen share message:%O", message);
+      if (!_this._shareProducer) return;
+      _this.disableShare().then(function () {
+        _this.emit("screenShareStoppedByModerator", {
+          moderatorPeerId: message.peerId
+        });
+      })["catch"](function (error) {
+        logger.error("Share stop requested by moderator failed:%O", error);
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "removeParticipant", function (peerId) {
+      var _ref = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref$reason = _ref.reason,
+        reason = _ref$reason === void 0 ? null : _ref$reason,
+        _ref$banFromRejoin = _ref.banFromRejoin,
+        banFromRejoin = _ref$banFromRejoin === void 0 ? false : _ref$banFromRejoin;
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RKID001",
+          text: "Error while trying to remove participant as room not in connected status. Current room status:!".concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can remove a participant!");
+        return {
+          success: false,
+          error: true,
+          code: "RKID002",
+          text: "Error while trying to remove participant. Only a moderator can remove a participant."
+        };
+      }
+      if (peerId === _this.data.inputParams.peerId || !_this._peers.has(peerId)) {
+        logger.error("Peer can't be removed:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "RKID003",
+          text: "Error while trying to remove participant. No other participant found with peerId:".concat(peerId)
+        };
+      }
+      _this._sendMessage({
+        id: "logMeOut",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId,
+        reason: reason,
+        banFromRejoin: Boolean(banFromRejoin)
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "logMeOutNew", function (message) {
+      logger.info("Removed from room by moderator:%O", message);
+      var roomId = _this.data.inputParams.roomId;
+      if (message.banFromRejoin) bannedPeers.add("".concat(roomId, "|").concat(_this.data.inputParams.peerId));
+      _this.leaveRoomCommon();
+      _this.emit("removedFromRoom", {
+        roomId: roomId,
+        moderatorPeerId: message.peerId,
+        reason: message.reason || null,
+        banned: Boolean(message.banFromRejoin)
+      });
+      if (_this._socket) {
+        // A removed peer must not come back on its own through the reconnect logic.
+        _this._socket._socketShouldReconnect = false;
+        _this._socket.close(4500, "Removed from room by moderator");
+      }
+    });
+    (0, _defineProperty2["default"])(_this, "toggleMyCamera", function (message) {
+      logger.debug("Toggle my camera message:%O", message);
+      if (message.videoStatus || !_this._webcamProducer) return;
+      _this.disableCam().then(function () {
+        _this.emit("cameraStoppedByModerator", {
+          moderatorPeerId: message.peerId
+        });
+      })["catch"](function (error) {
+        logger.error("Camera stop requested by moderator failed:%O", error);
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_validateRoomSettings", function (patch) {
+      return Object.keys(patch).filter(function (key) {
+        var value = patch[key];
+        switch (key) {
+          case "muteOnEntry":
+          case "cameraOffOnEntry":
+            return typeof value !== "boolean";
+          case "whoCanShare":
+          case "whoCanChat":
+          case "whoCanRecord":
+            return !ROOM_SETTINGS_AUDIENCES.includes(value);
+          case "maxVideoTiles":
+            return !(value === null || Number.isInteger(value) && value > 0);
+          default:
+            return true;
+        }
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "updateRoomSettings", function () {
+      var patch = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RSTID001",
+          text: "Error while trying to update room settings as room not in connected status. Current room status:!".concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can update room settings!");
+        return {
+          success: false,
+          error: true,
+          code: "RSTID002",
+          text: "Error while trying to update room settings. Only a moderator can update room settings."
+        };
+      }
+      var invalidKeys = _this._validateRoomSettings(patch);
+      if (invalidKeys.length) {
+        logger.error("Invalid room settings:%o", invalidKeys);
+        return {
+          success: false,
+          error: true,
+          code: "RSTID003",
+          text: "Error while trying to update room settings. Invalid value for: ".concat(invalidKeys.join(", "))
+        };
+      }
+      _this._sendMessage({
+        id: "confRoomSettings",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        roomSettings: patch
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "handleConfRoomSettings", function (message) {
+      logger.debug("Room settings message:%O", message);
+      var patch = message.roomSettings || {};
+      // Ignore anything we don't understand rather than let it break enforcement.
+      var invalidKeys = _this._validateRoomSettings(patch);
+      if (invalidKeys.length) logger.warn("Ignoring invalid room settings:%o", invalidKeys);
+      var changed = Object.keys(patch).filter(function (key) {
+        return !invalidKeys.includes(key) && _this._roomSettings[key] !== patch[key];
+      });
+      changed.forEach(function (key) {
+        _this._roomSettings[key] = patch[key];
+      });
+      if (changed.includes("whoCanShare") && _this._shareProducer && !_this._isAllowedByRoomSettings("whoCanShare")) {
+        _this.disableShare()["catch"](function (error) {
+          logger.error("Stopping share after whoCanShare change failed:%O", error);
+        });
+      }
+      _this.emit("roomSettingsChanged", {
+        roomSettings: _objectSpread({}, _this._roomSettings),
+        changed: changed,
+        peerId: message.peerId
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_isAllowedByRoomSettings", function (setting) {
+      return _this._roomSettings[setting] === "everyone" || _this.data.inputParams.peerType === "moderator";
+    });
+    (0, _defineProperty2["default"])(_this, "_checkRoomSettings", function (action) {
+      var isModerator = _this.data.inputParams.peerType === "moderator";
+      var settings = {
+        share: ["whoCanShare", "start screen share"],
+        chat: ["whoCanChat", "send chat message"],
+        record: ["whoCanRecord", "start recording"]
+      };
+      if (action === "camera") {
+        if (!_this._entryMedia || !_this._roomSettings.cameraOffOnEntry || isModerator) return null;
+        logger.debug("Camera stays off on entry as per room settings");
+        return {
+          success: false,
+          warning: true,
+          code: "RSTWID001",
+          text: "Camera is not started on entry as per room settings."
+        };
+      }
+      if (!settings[action] || _this._isAllowedByRoomSettings(settings[action][0])) return null;
+      logger.error("%s is not allowed by room settings", action);
+      return {
+        success: false,
+        error: true,
+        code: "RSTID004",
+        text: "Error while trying to ".concat(settings[action][1], ". Room settings only allow moderators to do this.")
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "sendCustomMessage", function (data) {
+      var type = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "general";
+      var recieverPeerId = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
+      var senderType = arguments.length > 3 ? arguments[3] : undefined;
+      var messageType = arguments.length > 4 ? arguments[4] : undefined;
+      var customData = arguments.length > 5 && arguments[5] !== undefined ? arguments[5] : {};
+      var policy = type === "chat" ? _this._checkRoomSettings("chat") : null;
+      if (policy) return policy;
+      var audience = _this._resolveAudience(recieverPeerId);
+      if (audience.problem) {
+        logger.error("sendCustomMessage() invalid recipient:%s", audience.problem);
+        return {
+          success: false,
+          error: true,
+          code: "CMID001",
+          text: "Error while trying to send custom message. ".concat(audience.problem)
+        };
+      }
+      return _this._sendCustomMessage(_objectSpread(_objectSpread({
+        data: data,
+        type: type
+      }, audience.fields), {}, {
+        senderType: senderType || _this._messageRole(),
+        messageType: messageType || audience.messageType,
+        customData: customData
+      }));
+    });
+    /**
+     * Turn the recipient of a custom message into its wire fields. The recipient is
+     * null for everyone, a peerId, an array of peerIds or {role} for every peer
+     * with that role (moderator, participant or viewer).
+     *
+     * @returns {Object} {fields, messageType}, or {problem} when the recipient is unusable.
+     */
+    (0, _defineProperty2["default"])(_this, "_resolveAudience", function (recipient) {
+      var fields = {
+        recieverPeerId: null,
+        recieverPeerIds: null,
+        recieverRole: null
+      };
+      if (recipient === null || recipient === undefined) {
+        return {
+          fields: fields,
+          messageType: _constants.MSG_TYPE_PUBLIC
+        };
+      }
+      if (typeof recipient === "string") {
+        fields.recieverPeerId = recipient;
+      } else if (Array.isArray(recipient)) {
+        if (!recipient.length || recipient.some(function (peerId) {
+          return !peerId || typeof peerId !== "string";
+        })) {
+          return {
+            problem: "The recipient list should be a non-empty array of peer ids."
+          };
+        }
+        fields.recieverPeerIds = Array.from(new Set(recipient));
+      } else if (jsonTypeMatches("object", recipient) && recipient.role) {
+        if (!MESSAGE_ROLES.includes(recipient.role)) {
+          return {
+            problem: "The recipient role should be one of: ".concat(MESSAGE_ROLES.join(", "))
+          };
+        }
+        fields.recieverRole = recipient.role;
+      } else {
+        return {
+          problem: "The recipient should be a peer id, an array of peer ids or {role}."
+        };
+      }
+      return {
+        fields: fields,
+        messageType: _constants.MSG_TYPE_PRIVATE
+      };
+    });
+    // Peers a role or peer list addressed message goes to, or null when it has a single recipient field to route by.
+    (0, _defineProperty2["default"])(_this, "_audiencePeerIds", function (fields) {
+      var myPeerId = _this.data.inputParams.peerId;
+      if (Array.isArray(fields.recieverPeerIds)) {
+        return fields.recieverPeerIds.filter(function (peerId) {
+          return peerId !== myPeerId;
+        });
+      }
+      if (!fields.recieverRole) return null;
+      var peerIds = [];
+      if (_this._peers) _this._peers.forEach(function (peer, peerId) {
+        var role = peer.participantType === "attendee" ? _constants.MSG_SENDER_TYPE_VIEWER : peer.participantType;
+        if (peerId !== myPeerId && role === fields.recieverRole) peerIds.push(peerId);
+      });
+      return peerIds;
+    });
+    // The server relays a message without recieverPeerId to the whole room, so role and peer list
+    // addressed ones go out once per recipient instead.
+    (0, _defineProperty2["default"])(_this, "_sendToAudience", function (message) {
+      var peerIds = _this._audiencePeerIds(message);
+      logger.debug("Room sendCustomMessage", message);
+      if (!peerIds) return _this._sendMessage(message);
+      if (!peerIds.length) logger.debug("No peer in the audience of custom message [role:%s]", message.recieverRole);
+      peerIds.forEach(function (peerId) {
+        _this._sendMessage(_objectSpread(_objectSpread({}, message), {}, {
+          recieverPeerId: peerId
+        }));
+      });
+    });
+    // A second check against what an older client or the server may still relay to the whole room.
+    (0, _defineProperty2["default"])(_this, "_isAddressedToMe", function (message) {
+      var myPeerId = _this.data.inputParams.peerId;
+      if ((message.from || message.peerId) === myPeerId) return true;
+      if (message.recieverRole) return message.recieverRole === _this._messageRole();
+      if (Array.isArray(message.recieverPeerIds)) return message.recieverPeerIds.includes(myPeerId);
+      return true;
+    });
+    (0, _defineProperty2["default"])(_this, "_sendCustomMessage", function (fields) {
+      var message = _objectSpread({
+        id: "customMessage",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        breakOutRoom: _this._currentBreakoutRoom
+      }, fields);
+      var key = fields.topic || fields.type;
+      var limit = _this._rateLimitFor(key);
+      if (!limit) {
+        _this._sendToAudience(message);
+        return {
+          success: true
+        };
+      }
+      var bucket = _this._rateBucket(key, limit);
+      if (limit.coalesce && bucket.pending.size) {
+        // Latest value wins: replace what is waiting for the same audience.
+        bucket.pending["delete"](bucket.audienceKey(message));
+        bucket.pending.set(bucket.audienceKey(message), message);
+        return {
+          success: true,
+          throttled: true,
+          coalesced: true
+        };
+      }
+      var retryAfter = _this._takeRateToken(bucket, limit);
+      if (!retryAfter) {
+        _this._sendToAudience(message);
+        return {
+          success: true
+        };
+      }
+      if (limit.coalesce) {
+        bucket.pending.set(bucket.audienceKey(message), message);
+        _this._scheduleRateFlush(key, bucket, limit, retryAfter);
+        return {
+          success: true,
+          throttled: true,
+          coalesced: true
+        };
+      }
+      var text = "Error while trying to send custom message. Rate limit for ".concat(key, " reached, retry in ").concat(retryAfter, "ms.");
+      logger.warn("Custom message throttled [key:%s, retryAfter:%s]", key, retryAfter);
+      _this.emit("customMessageError", {
+        code: "CMID002",
+        reason: "rateLimited",
+        topic: key,
+        retryAfter: retryAfter,
+        error: text
+      });
+      return {
+        success: false,
+        error: true,
+        throttled: true,
+        code: "CMID002",
+        text: text,
+        retryAfter: retryAfter
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "_rateLimitFor", function (key) {
+      if (!_this._rateLimits) return null;
+      return _this._rateLimits[key] || _this._rateLimits["default"] || null;
+    });
+    (0, _defineProperty2["default"])(_this, "_rateBucket", function (key, limit) {
+      if (!_this._rateBuckets.has(key)) {
+        _this._rateBuckets.set(key, {
+          tokens: limit.burst,
+          updatedAt: Date.now(),
+          // audience -> latest message held back on a coalescing key.
+          pending: new Map(),
+          audienceKey: function audienceKey(message) {
+            return JSON.stringify([message.recieverPeerId, message.recieverPeerIds, message.recieverRole]);
+          },
+          timer: null
+        });
+      }
+      return _this._rateBuckets.get(key);
+    });
+    // Takes a token, returning 0, or the ms until one is available.
+    (0, _defineProperty2["default"])(_this, "_takeRateToken", function (bucket, limit) {
+      var now = Date.now();
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * limit.ratePerSecond / 1000);
+      bucket.updatedAt = now;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - bucket.tokens) * 1000 / limit.ratePerSecond);
+    });
+    (0, _defineProperty2["default"])(_this, "_scheduleRateFlush", function (key, bucket, limit, delay) {
+      if (bucket.timer) return;
+      bucket.timer = setTimeout(function () {
+        bucket.timer = null;
+        if (_this._closed) return;
+        var _iterator = _createForOfIteratorHelper(bucket.pending),
+          _step;
+        try {
+          for (_iterator.s(); !(_step = _iterator.n()).done;) {
+            var entry = _step.value;
+            var retryAfter = _this._takeRateToken(bucket, limit);
+            if (retryAfter) return _this._scheduleRateFlush(key, bucket, limit, retryAfter);
+            bucket.pending["delete"](entry[0]);
+            logger.debug("Room sendCustomMessage (coalesced)");
+            _this._sendToAudience(entry[1]);
+          }
+        } finally {
+          _iterator.f();
+        }
+      }, delay);
+    });
+    // Role of this peer as custom messages name it: attendees are viewers.
+    (0, _defineProperty2["default"])(_this, "_messageRole", function () {
+      var peerType = _this.data.inputParams.peerType;
+      return peerType === "attendee" ? _constants.MSG_SENDER_TYPE_VIEWER : peerType;
+    });
+    (0, _defineProperty2["default"])(_this, "defineTopic", function (topic) {
+      var _ref50 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref50$schema = _ref50.schema,
+        schema = _ref50$schema === void 0 ? null : _ref50$schema;
+      if (!topic || typeof topic !== "string") {
+        return {
+          success: false,
+          error: true,
+          code: "PSID001",
+          text: "Error while trying to define topic. A topic name is required."
+        };
+      }
+      if (schema !== null && !jsonTypeMatches("object", schema)) {
+        return {
+          success: false,
+          error: true,
+          code: "PSID002",
+          text: "Error while trying to define topic ".concat(topic, ". The schema should be a JSON schema object.")
+        };
+      }
+      _this._topic(topic).schema = schema;
+      return {
+        success: true
+      };
+    });
+    /**
+     * Subscribe to a topic. The handler is called with (payload, {topic, from, private, toRole})
+     * for every message published on it, once the payload passed the topic's schema.
+     *
+     * @returns {Function} Unsubscribes the handler.
+     */
+    (0, _defineProperty2["default"])(_this, "subscribe", function (topic, handler) {
+      if (!topic || typeof topic !== "string") throw new Error("subscribe() needs a topic name");
+      if (typeof handler !== "function") throw new Error("subscribe() needs a handler function");
+      var entry = _this._topic(topic);
+      entry.handlers.add(handler);
+      return function () {
+        entry.handlers["delete"](handler);
+        if (!entry.handlers.size && !entry.schema && _this._topics.get(topic) === entry) _this._topics["delete"](topic);
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "publish", function (topic, payload) {
+      var _ref51 = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {},
+        _ref51$to = _ref51.to,
+        to = _ref51$to === void 0 ? null : _ref51$to,
+        _ref51$toRole = _ref51.toRole,
+        toRole = _ref51$toRole === void 0 ? null : _ref51$toRole;
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "PSID003",
+          text: "Error while trying to publish as room not in connected status. Current room status:!".concat(_this._roomStatus)
+        };
+      }
+      if (!topic || typeof topic !== "string") {
+        return {
+          success: false,
+          error: true,
+          code: "PSID001",
+          text: "Error while trying to publish. A topic name is required."
+        };
+      }
+      if (to && toRole) {
+        return {
+          success: false,
+          error: true,
+          code: "PSID004",
+          text: "Error while trying to publish on ".concat(topic, ". Address either a peer (to) or a role (toRole), not both.")
+        };
+      }
+      var audience = _this._resolveAudience(toRole ? {
+        role: toRole
+      } : to);
+      if (audience.problem) {
+        return {
+          success: false,
+          error: true,
+          code: "PSID005",
+          text: "Error while trying to publish on ".concat(topic, ". ").concat(audience.problem)
+        };
+      }
+      var entry = _this._topics.get(topic);
+      var problem = payload === undefined ? "payload is missing" : entry && entry.schema ? validatePayload(entry.schema, payload) : null;
+      if (problem) {
+        logger.error("Payload for topic %s rejected: %s", topic, problem);
+        return {
+          success: false,
+          error: true,
+          code: "PSID006",
+          text: "Error while trying to publish on ".concat(topic, ". Invalid payload: ").concat(problem)
+        };
+      }
+      return _this._sendCustomMessage(_objectSpread(_objectSpread({
+        type: TOPIC_MESSAGE_TYPE,
+        topic: topic,
+        data: payload
+      }, audience.fields), {}, {
+        senderType: _this._messageRole(),
+        messageType: audience.messageType,
+        customData: {}
+      }));
+    });
+    (0, _defineProperty2["default"])(_this, "_topic", function (topic) {
+      if (!_this._topics.has(topic)) _this._topics.set(topic, {
+        schema: null,
+        handlers: new Set()
+      });
+      return _this._topics.get(topic);
+    });
+    (0, _defineProperty2["default"])(_this, "_dispatchTopicMessage", function (message) {
+      var topic = message.topic;
+      var entry = _this._topics.get(topic);
+      if (!entry || !entry.handlers.size) {
+        logger.debug("No subscriber for topic:%s", topic);
+        return;
+      }
+      var from = message.from || message.peerId;
+      var problem = message.data === undefined ? "payload is missing" : entry.schema ? validatePayload(entry.schema, message.data) : null;
+      if (problem) {
+        logger.warn("Dropped message on topic %s from %s: %s", topic, from, problem);
+        _this.emit("customMessageError", {
+          code: "PSID007",
+          reason: "invalidPayload",
+          topic: topic,
+          peerId: from,
+          error: "Invalid payload on topic ".concat(topic, ": ").concat(problem)
+        });
+        return;
+      }
+      var meta = {
+        topic: topic,
+        from: from,
+        "private": Boolean(message.recieverPeerId || message.recieverPeerIds || message.recieverRole),
+        toRole: message.recieverRole || null
+      };
+      entry.handlers.forEach(function (handler) {
+        try {
+          handler(message.data, meta);
+        } catch (error) {
+          logger.error("Subscriber of topic %s failed:%O", topic, error);
+        }
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "processChatMessage", function (message) {
+      logger.debug("Room processChatMessage", message);
+      _this._chat._receive(message);
+    });
+    (0, _defineProperty2["default"])(_this, "processCustomMessage", function (message) {
+      logger.debug("Room processCustomMessage", message);
+      if (!_this._isCurrentRoom(message.breakOutRoom)) {
+        logger.debug("Custom message for another room:%s", message.breakOutRoom);
+        return;
+      }
+      if (!_this._isAddressedToMe(message)) {
+        logger.debug("Custom message for another audience [role:%s]", message.recieverRole);
+        return;
+      }
+      if (message.type === TOPIC_MESSAGE_TYPE) {
+        _this._dispatchTopicMessage(message);
+        return;
+      }
       _this.emit("customMessage", message);
     });
+    (0, _defineProperty2["default"])(_this, "_startE2EE", function () {
+      if (!_this._e2ee || _this._e2ee.worker) return;
+      _this._e2ee.worker = createE2EEWorker();
+      _this._e2ee.worker.onmessage = _this._handleE2EEWorkerMessage;
+      var options = _this._e2ee.options;
+      if (options.passphrase || options.key) {
+        _this.setE2EEKey(_objectSpread(_objectSpread({}, options), {}, {
+          keyIndex: 0
+        })).then(function (result) {
+          if (result.success) return;
+          logger.error("E2EE key setup failed:%s", result.text);
+          _this.emit("e2eeError", result);
+        });
+      }
+    });
+    // Puts an encoded transform on a producer's sender or a consumer's receiver.
+    // trackId identifies a receiver (its consumer id) in the decode statuses.
+    (0, _defineProperty2["default"])(_this, "_attachE2EE", function (rtpSenderOrReceiver, operation, peerId, trackId) {
+      if (!_this._e2ee || !rtpSenderOrReceiver) return;
+      _this._startE2EE();
+      var options = {
+        operation: operation,
+        peerId: peerId,
+        trackId: trackId
+      };
+      if (operation === "decode") _this._setE2EETrackStatus(trackId, peerId, "pending");
+      try {
+        if (_this._e2ee.mode === "scriptTransform") {
+          rtpSenderOrReceiver.transform = new window.RTCRtpScriptTransform(_this._e2ee.worker, options);
+        } else {
+          var streams = rtpSenderOrReceiver.createEncodedStreams();
+          _this._e2ee.worker.postMessage(_objectSpread(_objectSpread({}, options), {}, {
+            readable: streams.readable,
+            writable: streams.writable
+          }), [streams.readable, streams.writable]);
+        }
+      } catch (error) {
+        logger.error("E2EE transform setup failed [operation:%s, peerId:%s]:%O", operation, peerId, error);
+        _this.emit("e2eeError", {
+          success: false,
+          error: true,
+          code: "E2ID004",
+          text: "Error while trying to set up E2EE for ".concat(operation === "encode" ? "own media" : "media of ".concat(peerId), ". ").concat(error.message)
+        });
+      }
+    });
+    (0, _defineProperty2["default"])(_this, "_handleE2EEWorkerMessage", function (event) {
+      var message = event.data;
+      if (message.type === "status") {
+        // Ignore what is still in flight for a receiver that has closed.
+        if (_this._e2ee.tracks.has(message.trackId)) _this._setE2EETrackStatus(message.trackId, message.peerId, message.status, message.keyIndex);
+      } else if (message.type === "keyRotated") {
+        _this._e2ee.keyIndex = message.keyIndex;
+        logger.info("E2EE key rotated [keyIndex:%s, peerId:%s]", message.keyIndex, message.peerId);
+        _this.emit("e2eeKeyRotated", {
+          keyIndex: message.keyIndex,
+          peerId: message.peerId,
+          reason: message.peerId ? "remoteRotation" : "rotated"
+        });
+      }
+    });
+    (0, _defineProperty2["default"])(_this, "_setE2EETrackStatus", function (trackId, peerId, status, keyIndex) {
+      _this._e2ee.tracks.set(trackId, {
+        peerId: peerId,
+        status: status
+      });
+      _this._updateE2EEStatus(peerId, keyIndex);
+    });
+    (0, _defineProperty2["default"])(_this, "_forgetE2EETrack", function (trackId) {
+      if (!_this._e2ee || !_this._e2ee.tracks.has(trackId)) return;
+      var peerId = _this._e2ee.tracks.get(trackId).peerId;
+      _this._e2ee.tracks["delete"](trackId);
+      if (_this._e2ee.worker) _this._e2ee.worker.postMessage({
+        operation: "forget",
+        trackId: trackId
+      });
+      _this._updateE2EEStatus(peerId);
+    });
+    // Combines the statuses of a peer's receivers and emits e2eeStatus when the result changes.
+    (0, _defineProperty2["default"])(_this, "_updateE2EEStatus", function (peerId, keyIndex) {
+      var trackStatuses = [];
+      _this._e2ee.tracks.forEach(function (track) {
+        if (track.peerId === peerId) trackStatuses.push(track.status);
+      });
+      if (!trackStatuses.length) {
+        _this._e2ee.statuses["delete"](peerId);
+        return;
+      }
+      var status = E2EE_STATUS_PRECEDENCE.find(function (candidate) {
+        return trackStatuses.includes(candidate);
+      });
+      if (_this._e2ee.statuses.get(peerId) === status) return;
+      _this._e2ee.statuses.set(peerId, status);
+      if (status === "missingKey" || status === "decryptionFailed") {
+        logger.warn("E2EE can't decrypt media of %s [status:%s, keyIndex:%s]", peerId, status, keyIndex);
+      }
+      _this.emit("e2eeStatus", {
+        peerId: peerId,
+        status: status,
+        keyIndex: keyIndex
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "setE2EEKey", function () {
+      var keyOptions = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+      if (!_this._e2ee) {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "E2ID001",
+          text: "Error while trying to set E2EE key. E2EE was not enabled in init()."
+        });
+      }
+      if (keyOptions.keyIndex !== undefined && !(Number.isInteger(keyOptions.keyIndex) && keyOptions.keyIndex >= 0 && keyOptions.keyIndex < 256)) {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "E2ID002",
+          text: "Error while trying to set E2EE key. keyIndex should be an integer from 0 to 255."
+        });
+      }
+      _this._startE2EE();
+      return e2eeKeyMaterial(keyOptions, "samvyo-e2ee|".concat(_this.data.inputParams.roomId)).then(function (material) {
+        var keyIndex = keyOptions.keyIndex !== undefined ? keyOptions.keyIndex : (_this._e2ee.keyIndex + 1) % 256;
+        _this._e2ee.worker.postMessage({
+          operation: "setKey",
+          keyIndex: keyIndex,
+          material: material
+        }, [material]);
+        _this._e2ee.keyIndex = keyIndex;
+        logger.info("E2EE key set [keyIndex:%s]", keyIndex);
+        _this.emit("e2eeKeyRotated", {
+          keyIndex: keyIndex,
+          peerId: null,
+          reason: "keySet"
+        });
+        return {
+          success: true,
+          keyIndex: keyIndex
+        };
+      })["catch"](function (error) {
+        return {
+          success: false,
+          error: true,
+          code: "E2ID002",
+          text: "Error while trying to set E2EE key. ".concat(error.message)
+        };
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "rotateE2EEKey", function () {
+      if (!_this._e2ee || _this._e2ee.keyIndex < 0) {
+        return {
+          success: false,
+          error: true,
+          code: "E2ID003",
+          text: "Error while trying to rotate E2EE key. ".concat(_this._e2ee ? "No key has been set yet." : "E2EE was not enabled in init().")
+        };
+      }
+      _this._e2ee.worker.postMessage({
+        operation: "rotate"
+      });
+      return {
+        success: true,
+        keyIndex: (_this._e2ee.keyIndex + 1) % 256
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "createDataChannel", function (label) {
+      var _ref47 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref47$ordered = _ref47.ordered,
+        ordered = _ref47$ordered === void 0 ? true : _ref47$ordered,
+        maxRetransmits = _ref47.maxRetransmits,
+        maxPacketLifeTime = _ref47.maxPacketLifeTime;
+      if (_this._roomStatus !== "connected" || !_this._sendTransport) {
+        logger.debug("Send transport not ready yet!");
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "DCID001",
+          text: "Error while trying to create data channel as the send transport is not ready. Current room status:!".concat(_this._roomStatus)
+        });
+      }
+      if (!label || typeof label !== "string") {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "DCID002",
+          text: "Error while trying to create data channel. A label is required."
+        });
+      }
+      if (_this._dataProducers.has(label)) {
+        return Promise.resolve({
+          success: false,
+          error: true,
+          code: "DCID003",
+          text: "Error while trying to create data channel. A data channel labelled ".concat(label, " already exists.")
+        });
+      }
+      // Reserved while the server sets the channel up.
+      _this._dataProducers.set(label, null);
+      return _this._sendTransport.produceData({
+        ordered: ordered,
+        maxRetransmits: maxRetransmits,
+        maxPacketLifeTime: maxPacketLifeTime,
+        label: label,
+        appData: {
+          peerId: _this.data.inputParams.peerId
+        }
+      }).then(function (dataProducer) {
+        _this._dataProducers.set(label, dataProducer);
+        var forget = function forget() {
+          if (_this._dataProducers.get(label) === dataProducer) _this._dataProducers["delete"](label);
+        };
+        dataProducer.on("transportclose", forget);
+        dataProducer.on("close", forget);
+        logger.info("Data channel created [label:%s, id:%s]", label, dataProducer.id);
+        return {
+          success: true,
+          label: label,
+          dataProducerId: dataProducer.id
+        };
+      })["catch"](function (error) {
+        _this._dataProducers["delete"](label);
+        logger.error("createDataChannel() failed [label:%s]:%O", label, error);
+        return {
+          success: false,
+          error: true,
+          code: "DCID004",
+          text: "Error while trying to create data channel. ".concat(error.message)
+        };
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "sendData", function (label, payload) {
+      var _ref48 = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {},
+        _ref48$to = _ref48.to,
+        to = _ref48$to === void 0 ? null : _ref48$to;
+      var dataProducer = _this._dataProducers.get(label);
+      if (!dataProducer) {
+        return {
+          success: false,
+          error: true,
+          code: "DCID005",
+          text: "Error while trying to send data. There is no data channel labelled ".concat(label, ".")
+        };
+      }
+      if (!(typeof payload === "string" || payload instanceof ArrayBuffer || ArrayBuffer.isView(payload))) {
+        return {
+          success: false,
+          error: true,
+          code: "DCID006",
+          text: "Error while trying to send data. The payload should be a string, an ArrayBuffer or a typed array."
+        };
+      }
+      if (dataProducer.readyState !== "open") {
+        return {
+          success: false,
+          error: true,
+          code: "DCID007",
+          text: "Error while trying to send data. The data channel is ".concat(dataProducer.readyState, ".")
+        };
+      }
+      if (dataProducer.bufferedAmount > DATA_CHANNEL_BUFFER_LIMIT) {
+        logger.warn("Data channel %s congested [bufferedAmount:%s]", label, dataProducer.bufferedAmount);
+        return {
+          success: false,
+          error: true,
+          code: "DCID008",
+          text: "Error while trying to send data. The data channel is congested."
+        };
+      }
+      try {
+        dataProducer.send(encodeDataMessage(payload, to));
+      } catch (error) {
+        logger.error("sendData() failed [label:%s]:%O", label, error);
+        return {
+          success: false,
+          error: true,
+          code: "DCID009",
+          text: "Error while trying to send data. ".concat(error.message)
+        };
+      }
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "closeDataChannel", function (label) {
+      var dataProducer = _this._dataProducers.get(label);
+      if (!dataProducer) {
+        return {
+          success: false,
+          error: true,
+          code: "DCID005",
+          text: "Error while trying to close data channel. There is no data channel labelled ".concat(label, ".")
+        };
+      }
+      _this._dataProducers["delete"](label);
+      dataProducer.close();
+      _this._sendMessage({
+        id: "closeDataProducer",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        dataProducerId: dataProducer.id
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "handleNewDataConsumer", function (message) {
+      var senderPeerId = message.senderPeerId;
+      if (!_this.data.inputParams.consume || !_this._recvTransport) {
+        logger.warn("Not consuming data channel %s", message.label);
+        return;
+      }
+      return _this._recvTransport.consumeData({
+        id: message.dataConsumerId,
+        dataProducerId: message.dataProducerId,
+        sctpStreamParameters: message.sctpStreamParameters,
+        label: message.label,
+        protocol: message.protocol,
+        appData: {
+          peerId: senderPeerId
+        }
+      }).then(function (dataConsumer) {
+        dataConsumer.binaryType = "arraybuffer";
+        _this._dataConsumers.set(dataConsumer.id, dataConsumer);
+        var forget = function forget() {
+          _this._dataConsumers["delete"](dataConsumer.id);
+        };
+        dataConsumer.on("transportclose", forget);
+        dataConsumer.on("close", forget);
+        dataConsumer.on("message", function (frame) {
+          var decoded;
+          try {
+            decoded = decodeDataMessage(frame);
+          } catch (error) {
+            logger.warn("Dropped malformed data message [label:%s]:%s", dataConsumer.label, error.message);
+            return;
+          }
+          if (decoded.to && decoded.to !== _this.data.inputParams.peerId) return;
+          _this.emit("dataMessage", {
+            label: dataConsumer.label,
+            peerId: senderPeerId,
+            data: decoded.data,
+            binary: typeof decoded.data !== "string",
+            "private": Boolean(decoded.to)
+          });
+        });
+        logger.debug("Data consumer created [label:%s, senderPeerId:%s]", dataConsumer.label, senderPeerId);
+      })["catch"](function (error) {
+        logger.error("Failed to consume data channel [label:%s]:%O", message.label, error);
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleDataConsumerClosed", function (_ref49) {
+      var dataConsumerId = _ref49.dataConsumerId;
+      var dataConsumer = _this._dataConsumers.get(dataConsumerId);
+      if (!dataConsumer) return;
+      _this._dataConsumers["delete"](dataConsumerId);
+      dataConsumer.close();
+    });
+    (0, _defineProperty2["default"])(_this, "raiseHand", function () {
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RHID001",
+          text: "Error while trying to raise hand as room not in connected status. Current room status:!".concat(_this._roomStatus)
+        };
+      }
+      if (_this._raisedHands.includes(_this.data.inputParams.peerId)) {
+        logger.debug("Hand is already raised!");
+        return {
+          success: false,
+          warning: true,
+          code: "RHWID001",
+          text: "Error while trying to raise hand. Hand is already raised!"
+        };
+      }
+      var message = {
+        id: "handRaise",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        handRaised: true
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "lowerHand", function () {
+      var peerId = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+      var targetPeerId = peerId || _this.data.inputParams.peerId;
+      if (targetPeerId !== _this.data.inputParams.peerId && _this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can lower the hand of another peer!");
+        return {
+          success: false,
+          error: true,
+          code: "RHID002",
+          text: "Error while trying to lower hand. Only a moderator can lower the hand of another participant."
+        };
+      }
+      if (!_this._raisedHands.includes(targetPeerId)) {
+        logger.debug("Hand is not raised for peer:%s", targetPeerId);
+        return {
+          success: false,
+          warning: true,
+          code: "RHWID002",
+          text: "Error while trying to lower hand. Hand is not raised!"
+        };
+      }
+      var message = {
+        id: "handRaise",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: targetPeerId,
+        handRaised: false
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "lowerAllHands", function () {
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can lower all hands!");
+        return {
+          success: false,
+          error: true,
+          code: "RHID003",
+          text: "Error while trying to lower all hands. Only a moderator can lower all hands."
+        };
+      }
+      var message = {
+        id: "lowerAllHands",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "handleHandRaise", function (message) {
+      logger.debug("Hand raise message:%O", message);
+      var peerId = message.peerId,
+        handRaised = message.handRaised,
+        loweredBy = message.loweredBy,
+        queue = message.queue;
+      var previousQueue = _this._raisedHands;
+      if (Array.isArray(queue)) {
+        // The server owns the order in which hands were raised.
+        _this._raisedHands = queue;
+      } else if (handRaised) {
+        _this._raisedHands = previousQueue.includes(peerId) ? previousQueue : previousQueue.concat(peerId);
+      } else {
+        _this._raisedHands = peerId ? previousQueue.filter(function (id) {
+          return id !== peerId;
+        }) : [];
+      }
+      if (handRaised) {
+        _this.emit("handRaised", {
+          peerId: peerId,
+          position: _this._raisedHands.indexOf(peerId) + 1,
+          queue: _this._raisedHands,
+          type: _this.data.inputParams.peerId === peerId ? "local" : "remote"
+        });
+        return;
+      }
+      // A lowered hand may stand for all of them when a moderator lowers every hand.
+      previousQueue.filter(function (id) {
+        return !_this._raisedHands.includes(id);
+      }).forEach(function (id) {
+        _this.emit("handLowered", {
+          peerId: id,
+          loweredBy: loweredBy,
+          queue: _this._raisedHands,
+          type: _this.data.inputParams.peerId === id ? "local" : "remote"
+        });
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "promoteToModerator", function (peerId) {
+      return _this._changeParticipantRole(peerId, "moderator");
+    });
+    (0, _defineProperty2["default"])(_this, "demoteToParticipant", function (peerId) {
+      return _this._changeParticipantRole(peerId, "participant");
+    });
+    (0, _defineProperty2["default"])(_this, "_changeParticipantRole", function (peerId, peerRole) {
+      var action = peerRole === "moderator" ? "promote" : "demote";
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RUID001",
+          text: "Error while trying to ".concat(action, " participant as room not in connected status. Current room status:!").concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can change the role of a participant!");
+        return {
+          success: false,
+          error: true,
+          code: "RUID002",
+          text: "Error while trying to ".concat(action, " participant. Only a moderator can change the role of a participant.")
+        };
+      }
+      var peer = _this._peers.get(peerId);
+      if (!peer) {
+        logger.error("Peer not found:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "RUID003",
+          text: "Error while trying to ".concat(action, " participant. No participant found with peerId:").concat(peerId)
+        };
+      }
+      if (peer.participantType === peerRole) {
+        logger.debug("Peer %s is already a %s", peerId, peerRole);
+        return {
+          success: false,
+          warning: true,
+          code: "RUWID001",
+          text: "Error while trying to ".concat(action, " participant. Participant is already a ").concat(peerRole, "!")
+        };
+      }
+      var message = {
+        id: peerRole === "moderator" ? "upgradeParticipant" : "downgradeParticipant",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "requestModeratorRole", function () {
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RUID001",
+          text: "Error while trying to request moderator role as room not in connected status. Current room status:!".concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType === "moderator") {
+        logger.debug("Peer is already a moderator!");
+        return {
+          success: false,
+          warning: true,
+          code: "RUWID001",
+          text: "Error while trying to request moderator role. Participant is already a moderator!"
+        };
+      }
+      if (_this._moderatorRoleRequested) {
+        logger.debug("Moderator role already requested!");
+        return {
+          success: false,
+          warning: true,
+          code: "RUWID002",
+          text: "Error while trying to request moderator role. A request is already pending!"
+        };
+      }
+      _this._moderatorRoleRequested = true;
+      _this._moderatorRoleRequestTimer = setTimeout(function () {
+        logger.info("Moderator role request got no answer");
+        _this._endModeratorRoleRequest();
+        _this.emit("moderatorRoleRequestExpired", {
+          peerId: _this.data.inputParams.peerId
+        });
+      }, ROLE_REQUEST_TIMEOUT);
+      var message = {
+        id: "modUpgradeReq",
+        peerId: _this.data.inputParams.peerId,
+        peerName: _this.data.inputParams.peerName,
+        roomName: _this.data.inputParams.roomId
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "denyModeratorRole", function (peerId) {
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RUID001",
+          text: "Error while trying to deny moderator role as room not in connected status. Current room status:!".concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can deny a moderator role request!");
+        return {
+          success: false,
+          error: true,
+          code: "RUID002",
+          text: "Error while trying to deny moderator role. Only a moderator can answer a moderator role request."
+        };
+      }
+      var message = {
+        id: "modUpgradeDenied",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId
+      };
+      _this._sendMessage(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "_endModeratorRoleRequest", function () {
+      clearTimeout(_this._moderatorRoleRequestTimer);
+      _this._moderatorRoleRequestTimer = null;
+      _this._moderatorRoleRequested = false;
+    });
+    (0, _defineProperty2["default"])(_this, "_setPeerRole", function (peerId, peerRole) {
+      var peer = _this._peers && _this._peers.get(peerId);
+      if (peer) peer.participantType = peerRole;
+      if (_this.data.inputParams.peerId === peerId) {
+        _this.data.inputParams.peerType = peerRole;
+        _this._endModeratorRoleRequest();
+      }
+    });
+    (0, _defineProperty2["default"])(_this, "handleModUpgradeDenied", function (message) {
+      logger.debug("Moderator upgrade denied message:%O", message);
+      var targetPeerId = message.targetPeerId,
+        deniedBy = message.peerId;
+      var local = _this.data.inputParams.peerId === targetPeerId;
+      if (local) _this._endModeratorRoleRequest();
+      _this.emit("moderatorRoleDenied", {
+        peerId: targetPeerId,
+        deniedBy: deniedBy,
+        type: local ? "local" : "remote"
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleUpgradeParticipant", function (message) {
+      logger.debug("Upgrade participant message:%O", message);
+      var peerId = message.peerId,
+        upgradedBy = message.upgradedBy;
+      _this._setPeerRole(peerId, "moderator");
+      _this.emit("participantUpgraded", {
+        peerId: peerId,
+        peerRole: "moderator",
+        upgradedBy: upgradedBy,
+        type: _this.data.inputParams.peerId === peerId ? "local" : "remote"
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleDowngradeParticipant", function (message) {
+      logger.debug("Downgrade participant message:%O", message);
+      var peerId = message.peerId,
+        downgradedBy = message.downgradedBy;
+      _this._setPeerRole(peerId, "participant");
+      _this.emit("participantDowngraded", {
+        peerId: peerId,
+        peerRole: "participant",
+        downgradedBy: downgradedBy,
+        type: _this.data.inputParams.peerId === peerId ? "local" : "remote"
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleModUpgradeReq", function (message) {
+      logger.debug("Moderator upgrade request message:%O", message);
+      var peerId = message.peerId,
+        peerName = message.peerName;
+      _this.emit("moderatorRoleRequested", {
+        peerId: peerId,
+        peerName: peerName || (_this._peers.get(peerId) || {}).displayName
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleUpgradeLimitReached", function (message) {
+      logger.warn("Upgrade limit reached message:%O", message);
+      var peerId = message.peerId,
+        limit = message.limit,
+        text = message.text;
+      if (_this.data.inputParams.peerId === peerId) _this._endModeratorRoleRequest();
+      _this.emit("upgradeLimitReached", {
+        peerId: peerId,
+        limit: limit,
+        text: text || "Maximum number of moderators reached for this room!"
+      });
+    });
     (0, _defineProperty2["default"])(_this, "_createSendTransport", /*#__PURE__*/(0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2() {
       var direction;
       return _regenerator["default"].wrap(function _callee2$(_context2) {
@@ -484,7 +3118,8 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 id: "createTransport",
                 peerId: _this.data.inputParams.peerId,
                 roomName: _this.data.inputParams.roomId,
-                direction: direction
+                direction: direction,
+                sctpCapabilities: _this._device.sctpCapabilities
               });
             }
             _context2.next = 13;
@@ -521,7 +3156,8 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 id: "createTransport",
                 peerId: _this.data.inputParams.peerId,
                 roomName: _this.data.inputParams.roomId,
-                direction: direction
+                direction: direction,
+                sctpCapabilities: _this._device.sctpCapabilities
               });
             }
           case 6:
@@ -530,6 +3166,15 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         }
       }, _callee3);
     })));
+    // Without RTCRtpScriptTransform, encoded frames are only reachable on transports created for it.
+    (0, _defineProperty2["default"])(_this, "_transportOptions", function (transportOptions) {
+      if (!_this._e2ee || _this._e2ee.mode !== "encodedStreams") return transportOptions;
+      return _objectSpread(_objectSpread({}, transportOptions), {}, {
+        additionalSettings: {
+          encodedInsertableStreams: true
+        }
+      });
+    });
     (0, _defineProperty2["default"])(_this, "handleCreateTransportRequest", /*#__PURE__*/function () {
       var _ref6 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(jsonMessage) {
         var transportOptions, direction, transport;
@@ -545,7 +3190,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 break;
               }
               _context4.next = 7;
-              return _this._device.createRecvTransport(transportOptions);
+              return _this._device.createRecvTransport(_this._transportOptions(transportOptions));
             case 7:
               transport = _context4.sent;
               logger.debug("Room", "handleCreateTransportRequest() recv transport created ".concat(transport.id));
@@ -559,7 +3204,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 break;
               }
               _context4.next = 16;
-              return _this._device.createSendTransport(transportOptions);
+              return _this._device.createSendTransport(_this._transportOptions(transportOptions));
             case 16:
               transport = _context4.sent;
               logger.debug("Room", "handleCreateTransportRequest() send transport created [id:%s]".concat(transport.id));
@@ -590,6 +3235,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     (0, _defineProperty2["default"])(_this, "handleSendTransportListeners", function () {
       _this._sendTransport.on("connect", _this.handleTransportConnectEvent);
       _this._sendTransport.on("produce", _this.handleTransportProduceEvent);
+      _this._sendTransport.on("producedata", _this.handleTransportProduceDataEvent);
       var that = _this;
       _this._sendTransport.on("connectionstatechange", /*#__PURE__*/function () {
         var _ref7 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(connectionState) {
@@ -597,6 +3243,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             while (1) switch (_context5.prev = _context5.next) {
               case 0:
                 logger.debug("ConferenceRoom sendTransport connectionState ".concat(connectionState, " & socketconnection state ").concat(_this._socket._ws.readyState));
+                _this._setTransportState("send", connectionState);
                 if (!(connectionState === "failed" || connectionState === "disconnected")) {
                   _context5.next = 13;
                   break;
@@ -639,12 +3286,6 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     (0, _defineProperty2["default"])(_this, "handleTransportConnectEvent", function (_ref8, callback, errback) {
       var dtlsParameters = _ref8.dtlsParameters;
       try {
-        var action = function action(jsonMessage) {
-          logger.debug("connect-transport action");
-          callback();
-          queue.remove("connectTransport");
-        };
-        queue.push("connectTransport", action);
         var message = {
           id: "connectTransport",
           peerId: _this.data.inputParams.peerId,
@@ -653,7 +3294,13 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           dtlsParameters: dtlsParameters,
           direction: "send"
         };
-        _this._sendMessage(message);
+        _this._sendRequest(message).then(function () {
+          logger.debug("connect-transport action");
+          callback();
+        })["catch"](function (error) {
+          logger.error("handleTransportConnectEvent() failed [error:%o]", error);
+          errback(error);
+        });
       } catch (error) {
         logger.error("handleTransportConnectEvent() failed [error:%o]", error);
         errback(error);
@@ -664,15 +3311,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         rtpParameters = _ref9.rtpParameters,
         appData = _ref9.appData;
       try {
-        var action = function action(jsonMessage) {
-          logger.debug("handleTransportProduceEvent callback [data:%o]", jsonMessage);
-          callback({
-            id: jsonMessage.producerId
-          });
-          queue.remove("produce");
-        };
-        queue.push("produce", action);
-        var paused = appData.mediaTag === _constants.STREAM_TYPE_CAM_AUDIO && _this.data.inputParams.audioStatus !== undefined && !_this.data.inputParams.audioStatus ? true : false;
+        var paused = appData.mediaTag === _constants.STREAM_TYPE_CAM_AUDIO && (appData.paused || _this.data.inputParams.audioStatus !== undefined && !_this.data.inputParams.audioStatus) ? true : false;
         logger.debug("handleTransportProduceEvent() | pause status->".concat(paused));
         var message = {
           id: "sendTrack",
@@ -686,17 +3325,51 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           clientOs: _this._client.os.name,
           browser: _this._client.browser
         };
-        _this._sendMessage(message);
+        _this._sendRequest(message).then(function (jsonMessage) {
+          logger.debug("handleTransportProduceEvent callback [data:%o]", jsonMessage);
+          callback({
+            id: jsonMessage.producerId
+          });
+        })["catch"](function (error) {
+          logger.error("handleTransportProduceEvent() failed [error:%o]", error);
+          errback(error);
+        });
       } catch (error) {
         logger.error("handleTransportProduceEvent() failed [error:%o]", error);
         errback(error);
       }
     });
+    (0, _defineProperty2["default"])(_this, "handleTransportProduceDataEvent", function (_ref46, callback, errback) {
+      var sctpStreamParameters = _ref46.sctpStreamParameters,
+        label = _ref46.label,
+        protocol = _ref46.protocol,
+        appData = _ref46.appData;
+      _this._sendRequest({
+        id: "produceData",
+        transportId: _this._sendTransport.id,
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        sctpStreamParameters: sctpStreamParameters,
+        label: label,
+        protocol: protocol,
+        appData: appData
+      }).then(function (jsonMessage) {
+        logger.debug("handleTransportProduceDataEvent callback [data:%o]", jsonMessage);
+        callback({
+          id: jsonMessage.dataProducerId
+        });
+      })["catch"](function (error) {
+        logger.error("handleTransportProduceDataEvent() failed [error:%o]", error);
+        errback(error);
+      });
+    });
     (0, _defineProperty2["default"])(_this, "produceMedia", /*#__PURE__*/(0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6() {
       return _regenerator["default"].wrap(function _callee6$(_context6) {
         while (1) switch (_context6.prev = _context6.next) {
           case 0:
             if (_this.data.inputParams.produce) {
+              // Lets enableMic/enableCam apply the room's entry settings to these calls only.
+              _this._entryMedia = true;
               if (_this.data.inputParams.produceAudio) {
                 _this.enableMic({
                   deviceId: _this.data.inputParams.audioDeviceId ? _this.data.inputParams.audioDeviceId : null
@@ -721,6 +3394,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                   });
                 }
               }
+              _this._entryMedia = false;
             } else logger.warn("produce is false!");
           case 1:
           case "end":
@@ -742,6 +3416,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                   while (1) switch (_context7.prev = _context7.next) {
                     case 0:
                       logger.debug("ConferenceRoom recvTransport connectionState ".concat(connectionState, " & socketconnection state ").concat(_this._socket._ws.readyState));
+                      _this._setTransportState("recv", connectionState);
                       if (!(connectionState === "failed" || connectionState === "disconnected")) {
                         _context7.next = 13;
                         break;
@@ -796,12 +3471,6 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     (0, _defineProperty2["default"])(_this, "handleRecvTransportConnectEvent", function (_ref13, callback, errback) {
       var dtlsParameters = _ref13.dtlsParameters;
       try {
-        var action = function action(jsonMessage) {
-          logger.debug("ConferenceRoom", "connect-recv-transport action");
-          callback();
-          queue.remove("connectRecvTransport");
-        };
-        queue.push("connectRecvTransport", action);
         var message = {
           id: "connectTransport",
           peerId: _this.data.inputParams.peerId,
@@ -810,7 +3479,13 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           dtlsParameters: dtlsParameters,
           direction: "recv"
         };
-        _this._sendMessage(message);
+        _this._sendRequest(message, "connectRecvTransportResponse").then(function () {
+          logger.debug("ConferenceRoom", "connect-recv-transport action");
+          callback();
+        })["catch"](function (error) {
+          logger.error("handleRecvTransportConnectEvent() failed [error:%o]", error);
+          errback(error);
+        });
         // this.props.conf.socket.send('connectTransport', { peerId,transportId,dtlsParameters })
         // .then(callback())
         // .catch(errback);
@@ -863,6 +3538,10 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case 18:
               // Store in the map.
               _this._consumers.set(consumer.id, consumer);
+              _this._attachE2EE(consumer.rtpReceiver, "decode", senderPeerId, consumer.id);
+              if (_this._e2ee) consumer.observer.once("close", function () {
+                _this._forgetE2EETrack(consumer.id);
+              });
               consumer.on("transportclose", function () {
                 _this._consumers["delete"](consumer.id);
               });
@@ -909,6 +3588,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               _context9.next = 27;
               return _this.resumeConsumer(consumer);
             case 27:
+              if (senderPeerId === _this._spotlightedPeer) _this._setSpotlightLayers(consumer, true);
               logger.debug("Going to emit mic start / videostart");
               if (consumer.kind === "audio") {
                 if (mediaTag === "screen-audio") {
@@ -926,6 +3606,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 }
               } else if (consumer.kind === "video") {
                 if (mediaTag === "screen-video") {
+                  _this._setScreenSharer(senderPeerId, true);
                   _this.emit("ssVideoStart", {
                     peerId: senderPeerId,
                     videoTrack: consumer.track,
@@ -979,114 +3660,12 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               console.error(_context10.t0);
             case 12:
             case "end":
-              return _context10.stop();
-          }
-        }, _callee10, null, [[2, 9]]);
-      }));
-      return function (_x5) {
-        return _ref15.apply(this, arguments);
-      };
-    }());
-    (0, _defineProperty2["default"])(_this, "handleConnectTransportRequest", /*#__PURE__*/function () {
-      var _ref16 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee11(jsonMessage) {
-        var action;
-        return _regenerator["default"].wrap(function _callee11$(_context11) {
-          while (1) switch (_context11.prev = _context11.next) {
-            case 0:
-              logger.debug("handleTransportConnectRequest()");
-              _context11.prev = 1;
-              action = queue.get("connectTransport");
-              if (action) {
-                _context11.next = 5;
-                break;
-              }
-              throw new Error("transport-connect action was not found");
-            case 5:
-              _context11.next = 7;
-              return action(jsonMessage);
-            case 7:
-              _context11.next = 12;
-              break;
-            case 9:
-              _context11.prev = 9;
-              _context11.t0 = _context11["catch"](1);
-              console.error("handleTransportConnectRequest() failed [error:%o]", _context11.t0);
-            case 12:
-            case "end":
-              return _context11.stop();
-          }
-        }, _callee11, null, [[1, 9]]);
-      }));
-      return function (_x6) {
-        return _ref16.apply(this, arguments);
-      };
-    }());
-    (0, _defineProperty2["default"])(_this, "handleConnectRecvTransportRequest", /*#__PURE__*/function () {
-      var _ref17 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee12(jsonMessage) {
-        var action;
-        return _regenerator["default"].wrap(function _callee12$(_context12) {
-          while (1) switch (_context12.prev = _context12.next) {
-            case 0:
-              logger.debug("handleTransportConnectRequest()");
-              _context12.prev = 1;
-              action = queue.get("connectRecvTransport");
-              if (action) {
-                _context12.next = 5;
-                break;
-              }
-              throw new Error("recv transport-connect action was not found");
-            case 5:
-              _context12.next = 7;
-              return action(jsonMessage);
-            case 7:
-              _context12.next = 12;
-              break;
-            case 9:
-              _context12.prev = 9;
-              _context12.t0 = _context12["catch"](1);
-              console.error("handleRecvTransportConnectRequest() failed [error:%o]", _context12.t0);
-            case 12:
-            case "end":
-              return _context12.stop();
-          }
-        }, _callee12, null, [[1, 9]]);
-      }));
-      return function (_x7) {
-        return _ref17.apply(this, arguments);
-      };
-    }());
-    (0, _defineProperty2["default"])(_this, "handleSendTrackRequest", /*#__PURE__*/function () {
-      var _ref18 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee13(jsonMessage) {
-        var action;
-        return _regenerator["default"].wrap(function _callee13$(_context13) {
-          while (1) switch (_context13.prev = _context13.next) {
-            case 0:
-              logger.debug("ConferenceRoom", "handleProduceRequest()");
-              _context13.prev = 1;
-              action = queue.get("produce");
-              if (action) {
-                _context13.next = 5;
-                break;
-              }
-              throw new Error("produce action was not found");
-            case 5:
-              _context13.next = 7;
-              return action(jsonMessage);
-            case 7:
-              _context13.next = 12;
-              break;
-            case 9:
-              _context13.prev = 9;
-              _context13.t0 = _context13["catch"](1);
-              logger.error("handleProduceRequest() failed [error:%o]", _context13.t0);
-            case 12:
-            case "end":
-              return _context13.stop();
+              return _context10.stop();
           }
-        }, _callee13, null, [[1, 9]]);
+        }, _callee10, null, [[2, 9]]);
       }));
-      return function (_x8) {
-        return _ref18.apply(this, arguments);
+      return function (_x5) {
+        return _ref15.apply(this, arguments);
       };
     }());
     (0, _defineProperty2["default"])(_this, "mediaToggled", function (message) {
@@ -1097,6 +3676,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           break;
         case "audio":
           logger.debug("mediaToggled() | inside case audio".concat(message.videoStatus));
+          if (_this._peers.has(message.peerId)) _this._peers.get(message.peerId).audioStatus = message.audioStatus;
           if (message.audioStatus) {
             _this.emit("peerUnMuted", {
               peerId: message.peerId,
@@ -1111,6 +3691,186 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           break;
       }
     });
+    (0, _defineProperty2["default"])(_this, "updateSessionToken", function (sessionToken) {
+      return Promise.resolve().then(function () {
+        if (!sessionToken || typeof sessionToken !== "string") throw new Error("Session token is required");
+        var claims = decodeSessionToken(sessionToken).payload;
+        return _this._tokenVerifier ? verifySessionToken(_this._tokenVerifier, sessionToken) : claims;
+      }).then(function (claims) {
+        checkTokenClaims(claims);
+        if (!claims.data) throw new Error("Missing required token data");
+        _this._data.sessionToken = sessionToken;
+        _this._data.innerSessionToken = claims.data;
+        _this._data.tokenExpiresAt = typeof claims.exp === "number" ? claims.exp * 1000 : null;
+        if (_this._socket) {
+          _this._socket.updateUrl(_this._socketAddress());
+          if (_this._roomStatus === "connected") {
+            _this._sendMessage({
+              id: "updateSessionToken",
+              peerId: _this.data.inputParams.peerId,
+              roomName: _this.data.inputParams.roomId,
+              sessionToken: sessionToken
+            });
+          }
+        }
+        _this._scheduleTokenExpiry();
+        logger.info("Session token updated, expires at:%s", _this._data.tokenExpiresAt);
+        _this.emit("sessionTokenUpdated", {
+          expiresAt: _this._data.tokenExpiresAt
+        });
+        return {
+          success: true,
+          expiresAt: _this._data.tokenExpiresAt
+        };
+      })["catch"](function (error) {
+        logger.error("Failed to update session token:%s", error.message);
+        return {
+          success: false,
+          error: true,
+          code: "STID001",
+          text: "Error while trying to update session token. ".concat(error.message)
+        };
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_refreshSessionToken", function () {
+      if (_this._tokenRefresh) return _this._tokenRefresh;
+      logger.info("Fetching a fresh session token");
+      _this._tokenRefresh = Promise.resolve().then(_this._getToken).then(_this.updateSessionToken, function (error) {
+        logger.error("getToken() failed:%O", error);
+        return {
+          success: false,
+          error: true,
+          code: "STID002",
+          text: "Error while trying to fetch a new session token. ".concat(error && error.message)
+        };
+      }).then(function (response) {
+        _this._tokenRefresh = null;
+        if (!response.success) _this.emit("tokenRefreshFailed", response);
+        return response;
+      });
+      return _this._tokenRefresh;
+    });
+    // Handed to the socket as beforeReconnect, so a reconnection never goes out with an expired token.
+    (0, _defineProperty2["default"])(_this, "_beforeReconnect", function () {
+      var expiresAt = _this._data.tokenExpiresAt;
+      if (!_this._getToken || !expiresAt || expiresAt - Date.now() > _this._tokenRefreshLead) return null;
+      return _this._refreshSessionToken();
+    });
+    (0, _defineProperty2["default"])(_this, "_scheduleTokenExpiry", function () {
+      clearTimeout(_this._tokenExpiryTimer);
+      var expiresAt = _this._data.tokenExpiresAt;
+      if (!expiresAt || _this._closed) return;
+      var delay = expiresAt - _this._tokenRefreshLead - Date.now();
+      _this._tokenExpiryTimer = setTimeout(function () {
+        if (delay > MAX_TIMER_DELAY) return _this._scheduleTokenExpiry();
+        var expiresIn = Math.max(0, expiresAt - Date.now());
+        logger.warn("Session token expires in %sms", expiresIn);
+        _this.emit("tokenExpiring", {
+          expiresAt: expiresAt,
+          expiresIn: expiresIn
+        });
+        if (_this._getToken) _this._refreshSessionToken();
+      }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY)));
+    });
+    (0, _defineProperty2["default"])(_this, "resyncRoomState", function () {
+      logger.info("Fetching room snapshot to resync after reconnect");
+      return _this._sendRequest({
+        id: "roomSnapshot",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        chatHistoryLimit: CHAT_HISTORY_LIMIT
+      }).then(_this._applyRoomSnapshot)["catch"](function (error) {
+        logger.error("Room state resync failed:%O", error);
+        return {
+          success: false,
+          error: true,
+          code: "RSYID001",
+          text: "Error while trying to resync room state. ".concat(error.message)
+        };
+      });
+    });
+    // Replays whatever happened while the socket was down as the usual peer and media events.
+    (0, _defineProperty2["default"])(_this, "_applyRoomSnapshot", function (snapshot) {
+      var myPeerId = _this.data.inputParams.peerId;
+      var snapshotPeers = new Map();
+      (snapshot.peers || []).forEach(function (peer) {
+        snapshotPeers.set(peer.peerId, peer);
+      });
+      var producers = (snapshot.producers || []).filter(function (producer) {
+        return producer.peerId !== myPeerId;
+      });
+      var producerIds = producers.map(function (producer) {
+        return producer.producerId;
+      });
+
+      // Consumers first, so micEnd/videoEnd reach the UI before peerLeft.
+      var consumedProducerIds = [];
+      var closedConsumerIds = [];
+      _this._consumers.forEach(function (consumer, consumerId) {
+        if (producerIds.includes(consumer.producerId)) consumedProducerIds.push(consumer.producerId);else closedConsumerIds.push(consumerId);
+      });
+      closedConsumerIds.forEach(function (consumerId) {
+        _this.closeConsumer({
+          consumerId: consumerId
+        });
+      });
+      var left = [];
+      _this._peers.forEach(function (peer, peerId) {
+        if (peerId !== myPeerId && !snapshotPeers.has(peerId)) left.push(peerId);
+      });
+      left.forEach(function (peerId) {
+        _this.peerLeft({
+          peerId: peerId
+        });
+      });
+      var joined = [];
+      snapshotPeers.forEach(function (snapshotPeer, peerId) {
+        if (peerId === myPeerId) return;
+        if (!_this._peers.has(peerId)) {
+          joined.push(peerId);
+          _this.onNewPeer({
+            peerId: peerId,
+            displayName: snapshotPeer.name,
+            participantType: snapshotPeer.participantType
+          });
+        }
+        var peer = _this._peers.get(peerId);
+        if (typeof snapshotPeer.audioStatus !== "boolean" || peer.audioStatus === snapshotPeer.audioStatus) return;
+        _this.mediaToggled({
+          type: "audio",
+          peerId: peerId,
+          audioStatus: snapshotPeer.audioStatus
+        });
+      });
+      var missingProducerIds = producerIds.filter(function (producerId) {
+        return !consumedProducerIds.includes(producerId);
+      });
+      // The server answers with a recvTrackResponse per producer, which emits micStart/videoStart.
+      if (missingProducerIds.length > 0 && _this.data.inputParams.consume) {
+        _this._sendMessage({
+          id: "consumeProducers",
+          peerId: myPeerId,
+          roomName: _this.data.inputParams.roomId,
+          producerIds: missingProducerIds
+        });
+      }
+      if (snapshot.roomSettings) _this.handleConfRoomSettings({
+        roomSettings: snapshot.roomSettings
+      });
+      // Chat sent while the socket was down; messages already here are skipped.
+      _this._chat._replayHistory(snapshot.chatHistory);
+      var result = {
+        joined: joined,
+        left: left,
+        closedConsumers: closedConsumerIds.length,
+        requestedProducers: missingProducerIds.length
+      };
+      logger.info("Room state resynced:%O", result);
+      _this.emit("roomResynced", result);
+      return _objectSpread({
+        success: true
+      }, result);
+    });
     (0, _defineProperty2["default"])(_this, "closeConsumer", function (msg) {
       var consumerId = msg.consumerId;
       var consumer = _this._consumers.get(consumerId);
@@ -1143,11 +3903,14 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         });
       } else if ((consumer === null || consumer === void 0 ? void 0 : consumer.kind) === "video") {
         logger.debug("Going to emit videoEnd, consumer closed for video");
-        if (mediaTag === "screen-video") _this.emit("ssVideoStop", {
-          peerId: peerId,
-          track: null,
-          type: "remote"
-        });else _this.emit("videoEnd", {
+        if (mediaTag === "screen-video") {
+          _this._setScreenSharer(peerId, false);
+          _this.emit("ssVideoStop", {
+            peerId: peerId,
+            track: null,
+            type: "remote"
+          });
+        } else _this.emit("videoEnd", {
           peerId: peerId,
           track: null,
           type: "remote"
@@ -1158,6 +3921,23 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
       logger.debug("Peer Left message is:%o", message);
       var peerId = message.peerId;
       _this._peers["delete"](peerId);
+      _this._setScreenSharer(peerId, false);
+      _this._shareTakeoverRequests = _this._shareTakeoverRequests.filter(function (id) {
+        return id !== peerId;
+      });
+      if (_this._spotlightedPeer === peerId) _this._setSpotlightedPeer(null);
+      if (_this._e2ee) {
+        _this._e2ee.tracks.forEach(function (track, trackId) {
+          if (track.peerId === peerId) _this._e2ee.tracks["delete"](trackId);
+        });
+        _this._e2ee.statuses["delete"](peerId);
+      }
+      if (_this._raisedHands.includes(peerId)) {
+        _this.handleHandRaise({
+          peerId: peerId,
+          handRaised: false
+        });
+      }
       _this.emit("peerLeft", {
         peerId: peerId
       });
@@ -1178,6 +3958,12 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         _this._recvTransport.close();
         _this._recvTransport = null;
       }
+      _this._dataProducers.clear();
+      _this._dataConsumers.clear();
+      if (_this._e2ee) {
+        _this._e2ee.tracks.clear();
+        _this._e2ee.statuses.clear();
+      }
       if (_this._webCamStream) {
         _this._webCamStream.getVideoTracks().forEach(function (track) {
           track.stop();
@@ -1215,7 +4001,9 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 roomName: _this.data.inputParams.roomId,
                 peerId: _this.data.inputParams.peerId
               };
-              _this._sendMessage(message);
+              return _context14.abrupt("return", _this._sendRequest(message).then(_this.restartIceResponse)["catch"](function (error) {
+                logger.error("restartIce() failed for transport:%s [error:%o]", transportId, error);
+              }));
             case 6:
             case "end":
               return _context14.stop();
@@ -1241,74 +4029,825 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         });
       }
     });
-    (0, _defineProperty2["default"])(_this, "startRecording", function () {
-      var _ref20 = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
-        _ref20$recordingType = _ref20.recordingType,
-        recordingType = _ref20$recordingType === void 0 ? null : _ref20$recordingType,
-        _ref20$outputType = _ref20.outputType,
-        outputType = _ref20$outputType === void 0 ? null : _ref20$outputType,
-        _ref20$outputQualitie = _ref20.outputQualities,
-        outputQualities = _ref20$outputQualitie === void 0 ? null : _ref20$outputQualitie;
-      logger.debug("recording type requested is:%s,outputType:%s, outputQualties:%o", recordingType, outputType, outputQualities);
-      var localRecordingType = recordingType && ((recordingType === null || recordingType === void 0 ? void 0 : recordingType.toLowerCase()) === "av" || (recordingType === null || recordingType === void 0 ? void 0 : recordingType.toLowerCase()) === "audiovideo") ? _constants.MERGE : _constants.MERGEA;
-
-      // Allowed list of qualities
-      if (outputType && (outputType.toLowerCase() === "hls" || outputType.toLowerCase() === "mp4") || !outputType) {} else {
-        logger.error("Invalid outut type");
+    (0, _defineProperty2["default"])(_this, "startRecording", function () {
+      var _ref20 = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+        _ref20$recordingType = _ref20.recordingType,
+        recordingType = _ref20$recordingType === void 0 ? null : _ref20$recordingType,
+        _ref20$outputType = _ref20.outputType,
+        outputType = _ref20$outputType === void 0 ? null : _ref20$outputType,
+        _ref20$outputQualitie = _ref20.outputQualities,
+        outputQualities = _ref20$outputQualitie === void 0 ? null : _ref20$outputQualitie;
+      logger.debug("recording type requested is:%s,outputType:%s, outputQualties:%o", recordingType, outputType, outputQualities);
+      var localRecordingType = recordingType && ((recordingType === null || recordingType === void 0 ? void 0 : recordingType.toLowerCase()) === "av" || (recordingType === null || recordingType === void 0 ? void 0 : recordingType.toLowerCase()) === "audiovideo") ? _constants.MERGE : _constants.MERGEA;
+
+      // Allowed list of qualities
+      if (outputType && (outputType.toLowerCase() === "hls" || outputType.toLowerCase() === "mp4") || !outputType) {} else {
+        logger.error("Invalid outut type");
+        return {
+          success: false,
+          reason: "Invalid outputType: ".concat(outputType, ". ")
+        };
+      }
+      // let localOutputQualities;
+      if (outputType && outputType.toLowerCase() === "hls" && outputQualities && !(0, _verifyOutputQualites.isValidOutputQualities)(outputQualities)) {
+        logger.error("Invalid outut qualities");
+        return {
+          success: false,
+          reason: "Invalid outputQualities: ".concat(JSON.stringify(outputQualities), ". ") + "Allowed values are ".concat(Array.from(_verifyOutputQualites.ALLOWED_QUALITIES).join(", "), ".")
+        };
+      }
+      var policy = _this._checkRoomSettings("record");
+      if (policy) return policy;
+      if (["starting", "recording", "stopping"].includes(_this._recordingState)) {
+        logger.warn("Recording already in progress, state:%s", _this._recordingState);
+        return {
+          success: false,
+          warning: true,
+          code: "RRWID001",
+          text: "Error while trying to start recording. Recording is already ".concat(_this._recordingState, "!")
+        };
+      }
+      var message = {
+        id: "startRecording",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        url: window.location.hostname,
+        type: _constants.RECORD,
+        recordingStrategy: localRecordingType,
+        outputQualities: outputQualities,
+        outputType: outputType === null || outputType === void 0 ? void 0 : outputType.toLowerCase(),
+        breakOutRoom: _this._currentBreakoutRoom
+      };
+      _this._sendMessage(message);
+      _this._recordingStartedByMe = _objectSpread(_objectSpread({}, _this._recordingStartedByMe), {}, (0, _defineProperty2["default"])({}, _this._recordingRoomKey(), {
+        recordingNo: null
+      }));
+      _this._setRecordingState("starting", {
+        code: "RRID002",
+        text: "Error while trying to start recording. Server did not confirm the recording start in time."
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "stopRecording", function () {
+      logger.debug("going to stop recording for recordingStartedByMe:%o", _this._recordingStartedByMe);
+      var currentRecording = _this._recordingRoomKey();
+      // Until the server confirms the start there is no recordingNo to stop; the start timeout ends the wait.
+      if (["starting", "stopping"].includes(_this._recordingState)) {
+        logger.warn("Recording can't be stopped yet, state:%s", _this._recordingState);
+        return {
+          success: false,
+          warning: true,
+          code: "RRWID002",
+          text: "Error while trying to stop recording. Recording is still ".concat(_this._recordingState, "!")
+        };
+      }
+      if (_this._recordingState !== "recording") {
+        return {
+          success: false,
+          error: true,
+          code: "RRID001",
+          text: "Error while trying to stop recording. No recording is in progress. Current recording state:".concat(_this._recordingState)
+        };
+      }
+      // Whoever started the recording can stop it, and so can any moderator.
+      if (!_this._recordingStartedByMe[currentRecording] && _this.data.inputParams.peerType !== "moderator") {
+        return {
+          success: false,
+          error: true,
+          code: "RRID003",
+          text: "Error while trying to stop recording. Only a moderator or the participant who started the recording can stop it."
+        };
+      }
+      var message = {
+        id: "stopRecording",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        recordingNo: _this._recordingStartedByMe[currentRecording] ? _this._recordingStartedByMe[currentRecording].recordingNo : _this._recordingNo,
+        type: _constants.RECORD,
+        breakOutRoom: _this._currentBreakoutRoom
+      };
+      _this._sendMessage(message);
+      _this._recordingStoppedByMe = true;
+      _this._setRecordingState("stopping", {
+        code: "RRID005",
+        text: "Error while trying to stop recording. Server did not confirm the recording stop in time."
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "_setRecordingState", function (state) {
+      var timeoutError = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+      var extra = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+      clearTimeout(_this._recordingTimer);
+      _this._recordingTimer = null;
+      var previousState = _this._recordingState;
+      _this._recordingState = state;
+      logger.debug("Recording state changed from %s to %s", previousState, state);
+      if (timeoutError) {
+        // Transitional states fail if the server never confirms them.
+        _this._recordingTimer = setTimeout(function () {
+          logger.error("Recording confirmation timed out in state:%s", state);
+          _this._failRecording(timeoutError);
+        }, RECORDING_CONFIRM_TIMEOUT);
+      }
+      _this.emit("recordingStateChanged", _objectSpread({
+        state: state,
+        previousState: previousState
+      }, extra));
+    });
+    (0, _defineProperty2["default"])(_this, "_recordingRoomKey", function () {
+      return _this._currentBreakoutRoom || "main-room";
+    });
+    (0, _defineProperty2["default"])(_this, "_isCurrentRoom", function (breakOutRoom) {
+      // Messages without a breakOutRoom field predate breakout rooms and belong to the current room.
+      return breakOutRoom === undefined || (breakOutRoom || null) === _this._currentBreakoutRoom;
+    });
+    (0, _defineProperty2["default"])(_this, "_failRecording", function (error) {
+      delete _this._recordingStartedByMe[_this._recordingRoomKey()];
+      _this._recordingStoppedByMe = false;
+      _this._setRecordingState("failed", null, error);
+      _this.emit("recordingFailed", error);
+    });
+    (0, _defineProperty2["default"])(_this, "handleRecordingErrors", function (message) {
+      logger.error("Recording error message:%O", message);
+      if (!_this._isCurrentRoom(message.breakOutRoom)) return;
+      if ([_constants.RTMPSTREAM, _constants.RTMPSTREAMANDRECORD].includes(message.type)) {
+        _this._resetLiveStream();
+        _this.emit("liveStreamError", {
+          code: "RSID005",
+          text: message.text || message.reason || "Error while live streaming. Live stream failed on the server."
+        });
+      }
+      if (message.type === _constants.RTMPSTREAM) return;
+      _this._failRecording({
+        code: "RRID004",
+        text: message.text || message.reason || "Error while recording. Recording failed on the server."
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "startLiveStream", function () {
+      var _ref = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+        _ref$rtmpUrls = _ref.rtmpUrls,
+        rtmpUrls = _ref$rtmpUrls === void 0 ? [] : _ref$rtmpUrls,
+        _ref$layout = _ref.layout,
+        layout = _ref$layout === void 0 ? "grid" : _ref$layout,
+        _ref$alsoRecord = _ref.alsoRecord,
+        alsoRecord = _ref$alsoRecord === void 0 ? false : _ref$alsoRecord;
+      logger.debug("live stream requested for rtmpUrls:%o, layout:%s, alsoRecord:%s", rtmpUrls, layout, alsoRecord);
+      if (!Array.isArray(rtmpUrls) || rtmpUrls.length === 0 || !rtmpUrls.every(function (url) {
+        return typeof url === "string" && /^rtmps?:\/\/.+/i.test(url);
+      })) {
+        logger.error("Invalid rtmp urls");
+        return {
+          success: false,
+          error: true,
+          code: "RSID001",
+          text: "Error while trying to start live stream. rtmpUrls should be a non empty array of rtmp:// or rtmps:// urls."
+        };
+      }
+      if (!LIVE_STREAM_LAYOUTS.includes(layout)) {
+        logger.error("Invalid live stream layout");
+        return {
+          success: false,
+          error: true,
+          code: "RSID002",
+          text: "Error while trying to start live stream. Invalid layout: ".concat(layout, ". Allowed values are ").concat(LIVE_STREAM_LAYOUTS.join(", "), ".")
+        };
+      }
+      if (_this._liveStream) {
+        logger.warn("Live stream already in progress");
+        return {
+          success: false,
+          warning: true,
+          code: "RSWID001",
+          text: "Error while trying to start live stream. Room is already live!"
+        };
+      }
+      if (alsoRecord && ["starting", "recording", "stopping"].includes(_this._recordingState)) {
+        logger.warn("Recording already in progress, state:%s", _this._recordingState);
+        return {
+          success: false,
+          warning: true,
+          code: "RSWID002",
+          text: "Error while trying to start live stream with recording. Recording is already ".concat(_this._recordingState, "!")
+        };
+      }
+      var type = alsoRecord ? _constants.RTMPSTREAMANDRECORD : _constants.RTMPSTREAM;
+      _this._sendMessage({
+        id: "startRecording",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        url: window.location.hostname,
+        type: type,
+        rtmpUrls: rtmpUrls,
+        layout: layout
+      });
+      _this._liveStream = {
+        type: type,
+        recordingNo: null,
+        startedByMe: true,
+        live: false,
+        stopping: false
+      };
+      _this._setLiveStreamTimeout({
+        code: "RSID006",
+        text: "Error while trying to start live stream. Server did not confirm the live stream start in time."
+      });
+      if (alsoRecord) {
+        _this._recordingStartedByMe = _objectSpread(_objectSpread({}, _this._recordingStartedByMe), {}, (0, _defineProperty2["default"])({}, _this._recordingRoomKey(), {
+          recordingNo: null
+        }));
+        _this._setRecordingState("starting", {
+          code: "RRID002",
+          text: "Error while trying to start recording. Server did not confirm the recording start in time."
+        });
+      }
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "stopLiveStream", function () {
+      if (!_this._liveStream) {
+        return {
+          success: false,
+          error: true,
+          code: "RSID003",
+          text: "Error while trying to stop live stream. Room is not live."
+        };
+      }
+      if (!_this._liveStream.startedByMe && _this.data.inputParams.peerType !== "moderator") {
+        return {
+          success: false,
+          error: true,
+          code: "RSID004",
+          text: "Error while trying to stop live stream. Only a moderator or the participant who started the live stream can stop it."
+        };
+      }
+      // Until the server confirms the start there is no recordingNo to stop; the start timeout ends the wait.
+      if (!_this._liveStream.live || _this._liveStream.stopping) {
+        return {
+          success: false,
+          warning: true,
+          code: "RSWID003",
+          text: "Error while trying to stop live stream. Live stream is still ".concat(_this._liveStream.stopping ? "stopping" : "starting", "!")
+        };
+      }
+      _this._sendMessage({
+        id: "stopRecording",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        recordingNo: _this._liveStream.recordingNo,
+        type: _this._liveStream.type
+      });
+      _this._liveStream.stopping = true;
+      _this._setLiveStreamTimeout({
+        code: "RSID007",
+        text: "Error while trying to stop live stream. Server did not confirm the live stream stop in time."
+      });
+      if (_this._liveStream.type === _constants.RTMPSTREAMANDRECORD) {
+        _this._recordingStoppedByMe = true;
+        _this._setRecordingState("stopping", {
+          code: "RRID005",
+          text: "Error while trying to stop recording. Server did not confirm the recording stop in time."
+        });
+      }
+      return {
+        success: true
+      };
+    });
+    // Like recording, a live stream that the server never confirms is given up on and reported.
+    (0, _defineProperty2["default"])(_this, "_setLiveStreamTimeout", function (error) {
+      clearTimeout(_this._liveStreamTimer);
+      _this._liveStreamTimer = setTimeout(function () {
+        _this._liveStreamTimer = null;
+        logger.error("Live stream confirmation timed out:%s", error.code);
+        _this._resetLiveStream();
+        _this.emit("liveStreamError", error);
+      }, RECORDING_CONFIRM_TIMEOUT);
+    });
+    (0, _defineProperty2["default"])(_this, "_resetLiveStream", function () {
+      var liveStream = _this._liveStream;
+      clearTimeout(_this._liveStreamTimer);
+      _this._liveStreamTimer = null;
+      _this._liveStream = null;
+      return liveStream;
+    });
+    (0, _defineProperty2["default"])(_this, "_checkSpotlightAction", function (action) {
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
+        return {
+          success: false,
+          error: true,
+          code: "SLID001",
+          text: "Error while trying to ".concat(action, " as room not in connected status. Current room status:!").concat(_this._roomStatus)
+        };
+      }
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can change the spotlight!");
+        return {
+          success: false,
+          error: true,
+          code: "SLID002",
+          text: "Error while trying to ".concat(action, ". Only a moderator can change the spotlight.")
+        };
+      }
+      return null;
+    });
+    (0, _defineProperty2["default"])(_this, "spotlightPeer", function (peerId) {
+      var check = _this._checkSpotlightAction("spotlight participant");
+      if (check) return check;
+      if (peerId !== _this.data.inputParams.peerId && !_this._peers.has(peerId)) {
+        logger.error("Peer not found:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "SLID003",
+          text: "Error while trying to spotlight participant. No participant found with peerId:".concat(peerId)
+        };
+      }
+      if (_this._spotlightedPeer === peerId) {
+        return {
+          success: false,
+          warning: true,
+          code: "SLWID001",
+          text: "Participant is already in the spotlight:".concat(peerId)
+        };
+      }
+      _this._sendMessage({
+        id: "spotLight",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: peerId,
+        spotLight: true
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "clearSpotlight", function () {
+      var check = _this._checkSpotlightAction("clear spotlight");
+      if (check) return check;
+      if (!_this._spotlightedPeer) {
+        return {
+          success: false,
+          warning: true,
+          code: "SLWID001",
+          text: "No participant is in the spotlight."
+        };
+      }
+      _this._sendMessage({
+        id: "spotLight",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        targetPeerId: _this._spotlightedPeer,
+        spotLight: false
+      });
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "handleSpotLight", function (message) {
+      logger.debug("Spotlight message:%O", message);
+      var targetPeerId = message.targetPeerId,
+        spotLight = message.spotLight;
+      _this._setSpotlightedPeer(spotLight ? targetPeerId : null, message.peerId);
+    });
+    (0, _defineProperty2["default"])(_this, "_setSpotlightedPeer", function (peerId) {
+      var moderatorPeerId = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+      var previousPeerId = _this._spotlightedPeer;
+      if (previousPeerId === peerId) return;
+      _this._spotlightedPeer = peerId;
+      _this._consumers.forEach(function (consumer) {
+        if (consumer.appData.peerId === previousPeerId) _this._setSpotlightLayers(consumer, false);
+        if (consumer.appData.peerId === peerId) _this._setSpotlightLayers(consumer, true);
+      });
+      _this.emit("spotlightChanged", {
+        peerId: peerId,
+        previousPeerId: previousPeerId,
+        moderatorPeerId: moderatorPeerId,
+        type: peerId && peerId === _this.data.inputParams.peerId ? "local" : "remote"
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_setSpotlightLayers", function (consumer, spotlighted) {
+      if (consumer.kind !== "video" || consumer.closed) return;
+      var _mediasoup$parseScala2 = mediasoup.parseScalabilityMode(consumer.rtpParameters.encodings[0].scalabilityMode),
+        spatialLayers = _mediasoup$parseScala2.spatialLayers,
+        temporalLayers = _mediasoup$parseScala2.temporalLayers;
+      logger.debug("Setting spotlight:%s for consumer:%s", spotlighted, consumer.id);
+      // The spotlighted peer is shown large everywhere, so ask for its best layer and give it bandwidth first.
+      if (spotlighted) {
+        _this._sendMessage({
+          id: "setConsumerPreferredLayers",
+          peerId: _this.data.inputParams.peerId,
+          roomName: _this.data.inputParams.roomId,
+          consumerId: consumer.id,
+          spatialLayer: spatialLayers - 1,
+          temporalLayer: temporalLayers - 1
+        });
+      }
+      _this._sendMessage({
+        id: "setConsumerPriority",
+        peerId: _this.data.inputParams.peerId,
+        roomName: _this.data.inputParams.roomId,
+        consumerId: consumer.id,
+        priority: spotlighted ? 255 : 1
+      });
+      var peer = _this._peers.get(_this.data.inputParams.peerId);
+      var consumerData = peer && Object.values(peer).find(function (data) {
+        return data && data.consumerId === consumer.id;
+      });
+      if (consumerData) {
+        if (spotlighted) {
+          consumerData.preferredSpatialLayer = spatialLayers - 1;
+          consumerData.preferredTemporalLayer = temporalLayers - 1;
+        }
+        consumerData.priority = spotlighted ? 255 : 1;
+      }
+    });
+    (0, _defineProperty2["default"])(_this, "_checkBreakoutAction", function (action) {
+      if (_this._roomStatus !== "connected") {
+        logger.debug("Room status is not connected yet!");
         return {
           success: false,
-          reason: "Invalid outputType: ".concat(outputType, ". ")
+          error: true,
+          code: "RBID001",
+          text: "Error while trying to ".concat(action, " as room not in connected status. Current room status:!").concat(_this._roomStatus)
         };
       }
-      // let localOutputQualities;
-      if (outputType && outputType.toLowerCase() === "hls" && outputQualities && !(0, _verifyOutputQualites.isValidOutputQualities)(outputQualities)) {
-        logger.error("Invalid outut qualities");
+      if (_this.data.inputParams.peerType !== "moderator") {
+        logger.error("Only a moderator can manage breakout rooms!");
         return {
           success: false,
-          reason: "Invalid outputQualities: ".concat(JSON.stringify(outputQualities), ". ") + "Allowed values are ".concat(Array.from(_verifyOutputQualites.ALLOWED_QUALITIES).join(", "), ".")
+          error: true,
+          code: "RBID002",
+          text: "Error while trying to ".concat(action, ". Only a moderator can manage breakout rooms.")
         };
       }
-      var message = {
-        id: "startRecording",
+      return null;
+    });
+    (0, _defineProperty2["default"])(_this, "_checkBreakoutRoomsOpen", function (action) {
+      if (!_this._breakoutRoomsOpen) {
+        logger.warn("Breakout rooms are not open!");
+        return {
+          success: false,
+          warning: true,
+          code: "RBWID001",
+          text: "Can't ".concat(action, " as breakout rooms are not open.")
+        };
+      }
+      return null;
+    });
+    (0, _defineProperty2["default"])(_this, "_sendBreakoutMessage", function (action) {
+      var data = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+      var message = _objectSpread({
+        id: "breakOutRooms",
         peerId: _this.data.inputParams.peerId,
         roomName: _this.data.inputParams.roomId,
-        url: window.location.hostname,
-        type: _constants.RECORD,
-        recordingStrategy: localRecordingType,
-        outputQualities: outputQualities,
-        outputType: outputType === null || outputType === void 0 ? void 0 : outputType.toLowerCase()
-      };
+        action: action
+      }, data);
       _this._sendMessage(message);
-      _this._recordingStartedByMe = _objectSpread(_objectSpread({}, _this._recordingStartedByMe), {}, {
-        "main-room": {
-          recordingNo: null
-        }
+      // The server relays breakOutRooms to everybody else, so apply it locally as well.
+      _this.handleBreakOutRooms(message);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "createBreakoutRooms", function (count) {
+      var _ref = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref$names = _ref.names,
+        names = _ref$names === void 0 ? [] : _ref$names;
+      var check = _this._checkBreakoutAction("create breakout rooms");
+      if (check) return check;
+      if (!Number.isInteger(count) || count < 1) {
+        logger.error("Invalid breakout room count:%s", count);
+        return {
+          success: false,
+          error: true,
+          code: "RBID003",
+          text: "Error while trying to create breakout rooms. Room count should be a positive integer."
+        };
+      }
+      if (_this._breakoutRoomsOpen) {
+        logger.warn("Breakout rooms are already open!");
+        return {
+          success: false,
+          warning: true,
+          code: "RBWID002",
+          text: "Can't create breakout rooms as breakout rooms are already open."
+        };
+      }
+      var rooms = [];
+      for (var i = 1; i <= count; i++) {
+        rooms.push({
+          breakOutRoom: "".concat(_this.data.inputParams.roomId, "-br-").concat(i),
+          name: names[i - 1] || "Room ".concat(i),
+          peers: []
+        });
+      }
+      return _this._sendBreakoutMessage("update", {
+        rooms: rooms
       });
     });
-    (0, _defineProperty2["default"])(_this, "stopRecording", function () {
-      logger.debug("going to stop recording for recordingStartedByMe:%o", _this._recordingStartedByMe);
-      var currentRecording = "main-room";
-      if (_this._recordingStartedByMe[currentRecording]) {
-        var message = {
-          id: "stopRecording",
-          peerId: _this.data.inputParams.peerId,
-          roomName: _this.data.inputParams.roomId,
-          recordingNo: _this._recordingStartedByMe[currentRecording].recordingNo,
-          type: _constants.RECORD
+    (0, _defineProperty2["default"])(_this, "assignToBreakoutRoom", function (peerId, breakOutRoom) {
+      var check = _this._checkBreakoutAction("assign breakout room");
+      if (check) return check;
+      if (!_this._peers.has(peerId) && peerId !== _this.data.inputParams.peerId) {
+        logger.error("Peer not found:%s", peerId);
+        return {
+          success: false,
+          error: true,
+          code: "RBID004",
+          text: "Error while trying to assign breakout room. No participant found with peerId:".concat(peerId)
         };
-        _this._sendMessage(message);
-        delete _this._recordingStartedByMe[currentRecording];
-        _this.emit("recordingEnded", {
-          peerId: _this.data.inputParams.peerId
+      }
+      if (breakOutRoom && !_this._findBreakoutRoom(breakOutRoom)) {
+        logger.error("Breakout room not found:%s", breakOutRoom);
+        return {
+          success: false,
+          error: true,
+          code: "RBID005",
+          text: "Error while trying to assign breakout room. No breakout room found with id:".concat(breakOutRoom)
+        };
+      }
+      // A null breakOutRoom keeps the peer in the main room.
+      var rooms = _this._breakoutRooms.map(function (room) {
+        var peers = room.peers.filter(function (id) {
+          return id !== peerId;
         });
-      } else {
+        if (room.breakOutRoom === breakOutRoom) peers.push(peerId);
+        return _objectSpread(_objectSpread({}, room), {}, {
+          peers: peers
+        });
+      });
+      return _this._sendBreakoutMessage(_this._breakoutRoomsOpen ? "open" : "update", {
+        rooms: rooms,
+        endsAt: _this._breakoutEndsAt
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "autoAssignBreakoutRooms", function () {
+      var check = _this._checkBreakoutAction("assign breakout rooms");
+      if (check) return check;
+      if (!_this._breakoutRooms.length) {
+        logger.error("No breakout rooms created yet!");
         return {
           success: false,
           error: true,
-          code: "RRID001",
-          text: "Error while trying to stop recording. Either the recording has not been started yet Or The same user need to stop recording who started it."
+          code: "RBID006",
+          text: "Error while trying to assign breakout rooms. Create breakout rooms first."
+        };
+      }
+      var peerIds = [];
+      // _peers also keeps this peer's own consumer bookkeeping, which has no participantType.
+      _this._peers.forEach(function (peer, peerId) {
+        if (peerId !== _this.data.inputParams.peerId && peer.participantType !== "moderator") peerIds.push(peerId);
+      });
+      for (var i = peerIds.length - 1; i > 0; i--) {
+        var j = Math.floor(Math.random() * (i + 1));
+        var _ref2 = [peerIds[j], peerIds[i]];
+        peerIds[i] = _ref2[0];
+        peerIds[j] = _ref2[1];
+      }
+      var rooms = _this._breakoutRooms.map(function (room) {
+        return _objectSpread(_objectSpread({}, room), {}, {
+          peers: []
+        });
+      });
+      peerIds.forEach(function (peerId, index) {
+        rooms[index % rooms.length].peers.push(peerId);
+      });
+      return _this._sendBreakoutMessage(_this._breakoutRoomsOpen ? "open" : "update", {
+        rooms: rooms,
+        endsAt: _this._breakoutEndsAt
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "openBreakoutRooms", function () {
+      var _ref = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {},
+        _ref$duration = _ref.duration,
+        duration = _ref$duration === void 0 ? null : _ref$duration;
+      var check = _this._checkBreakoutAction("open breakout rooms");
+      if (check) return check;
+      if (!_this._breakoutRooms.length) {
+        logger.error("No breakout rooms created yet!");
+        return {
+          success: false,
+          error: true,
+          code: "RBID006",
+          text: "Error while trying to open breakout rooms. Create breakout rooms first."
+        };
+      }
+      _this._breakoutTimerOwner = true;
+      return _this._sendBreakoutMessage("open", {
+        rooms: _this._breakoutRooms,
+        endsAt: duration ? Date.now() + duration * 1000 : null
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "setBreakoutRoomsTimer", function (duration) {
+      var check = _this._checkBreakoutAction("set breakout rooms timer") || _this._checkBreakoutRoomsOpen("set breakout rooms timer");
+      if (check) return check;
+      _this._breakoutTimerOwner = true;
+      return _this._sendBreakoutMessage("timer", {
+        endsAt: duration ? Date.now() + duration * 1000 : null
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "broadcastToBreakoutRooms", function (text) {
+      var check = _this._checkBreakoutAction("broadcast to breakout rooms") || _this._checkBreakoutRoomsOpen("broadcast to breakout rooms");
+      if (check) return check;
+      return _this._sendBreakoutMessage("broadcast", {
+        text: text
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "closeBreakoutRooms", function () {
+      var check = _this._checkBreakoutAction("close breakout rooms") || _this._checkBreakoutRoomsOpen("close breakout rooms");
+      if (check) return check;
+      return _this._sendBreakoutMessage("close");
+    });
+    (0, _defineProperty2["default"])(_this, "joinBreakoutRoom", function (breakOutRoom) {
+      var check = _this._checkBreakoutRoomsOpen("join breakout room");
+      if (check) return check;
+      var room = _this._findBreakoutRoom(breakOutRoom);
+      var peerId = _this.data.inputParams.peerId;
+      if (!room || _this.data.inputParams.peerType !== "moderator" && !room.peers.includes(peerId)) {
+        logger.error("Can't join breakout room:%s", breakOutRoom);
+        return {
+          success: false,
+          error: true,
+          code: "RBID007",
+          text: "Error while trying to join breakout room. Participants can only join the breakout room they are assigned to."
+        };
+      }
+      if (breakOutRoom === _this._currentBreakoutRoom) {
+        return {
+          success: false,
+          warning: true,
+          code: "RBWID003",
+          text: "Already in breakout room:".concat(breakOutRoom)
+        };
+      }
+      _this._moveToRoom(breakOutRoom);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "returnToMainRoom", function () {
+      if (!_this._currentBreakoutRoom) {
+        return {
+          success: false,
+          warning: true,
+          code: "RBWID003",
+          text: "Already in the main room."
         };
       }
+      _this._moveToRoom(null);
+      return {
+        success: true
+      };
+    });
+    (0, _defineProperty2["default"])(_this, "_findBreakoutRoom", function (breakOutRoom) {
+      return _this._breakoutRooms.find(function (room) {
+        return room.breakOutRoom === breakOutRoom;
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "_scheduleBreakoutClose", function () {
+      clearTimeout(_this._breakoutTimer);
+      _this._breakoutTimer = null;
+      // Only the moderator who set the timer closes the rooms, so others don't race to do it.
+      if (!_this._breakoutTimerOwner || !_this._breakoutEndsAt) return;
+      _this._breakoutTimer = setTimeout(function () {
+        _this._breakoutTimer = null;
+        if (_this._breakoutRoomsOpen) _this.closeBreakoutRooms();
+      }, Math.max(0, _this._breakoutEndsAt - Date.now()));
+    });
+    (0, _defineProperty2["default"])(_this, "handleBreakOutRooms", function (message) {
+      logger.debug("Breakout rooms message:%O", message);
+      var action = message.action,
+        peerId = message.peerId;
+      var type = peerId === _this.data.inputParams.peerId ? "local" : "remote";
+      if (type === "remote") _this._breakoutTimerOwner = false;
+      switch (action) {
+        case "update":
+          _this._breakoutRooms = message.rooms || [];
+          _this.emit("breakoutRoomsUpdated", {
+            rooms: _this._breakoutRooms,
+            type: type
+          });
+          break;
+        case "open":
+          {
+            var wasOpen = _this._breakoutRoomsOpen;
+            _this._breakoutRooms = message.rooms || [];
+            _this._breakoutRoomsOpen = true;
+            _this._breakoutEndsAt = message.endsAt || null;
+            _this._scheduleBreakoutClose();
+            _this.emit(wasOpen ? "breakoutRoomsUpdated" : "breakoutRoomsOpened", {
+              rooms: _this._breakoutRooms,
+              endsAt: _this._breakoutEndsAt,
+              type: type
+            });
+            var myPeerId = _this.data.inputParams.peerId;
+            var myRoom = _this._breakoutRooms.find(function (room) {
+              return room.peers.includes(myPeerId);
+            });
+            var target = myRoom ? myRoom.breakOutRoom : null;
+            // Moderators stay where they are unless they were assigned to a room.
+            if (target !== _this._currentBreakoutRoom && (target || _this.data.inputParams.peerType !== "moderator")) {
+              _this._moveToRoom(target);
+            }
+            break;
+          }
+        case "timer":
+          _this._breakoutEndsAt = message.endsAt || null;
+          _this._scheduleBreakoutClose();
+          _this.emit("breakoutTimerUpdated", {
+            endsAt: _this._breakoutEndsAt,
+            type: type
+          });
+          break;
+        case "broadcast":
+          _this.emit("breakoutBroadcast", {
+            peerId: peerId,
+            text: message.text,
+            type: type
+          });
+          break;
+        case "close":
+          clearTimeout(_this._breakoutTimer);
+          _this._breakoutTimer = null;
+          _this._breakoutTimerOwner = false;
+          _this._breakoutRoomsOpen = false;
+          _this._breakoutEndsAt = null;
+          _this.emit("breakoutRoomsClosed", {
+            peerId: peerId,
+            type: type
+          });
+          if (_this._currentBreakoutRoom) _this._moveToRoom(null);
+          break;
+        default:
+          logger.warn("Unknown breakout rooms action:%s", action);
+      }
+    });
+    (0, _defineProperty2["default"])(_this, "_moveToRoom", function (breakOutRoom) {
+      logger.info("Moving from room:%s to room:%s", _this._recordingRoomKey(), breakOutRoom || "main-room");
+      var inputParams = _this.data.inputParams;
+      _this._roomRecordings[_this._recordingRoomKey()] = {
+        recordingState: _this._recordingState,
+        recordingNo: _this._recordingNo
+      };
+      // Media is re-produced in the new room the way it was in the old one.
+      inputParams.produceAudio = Boolean(_this._micProducer && !_this._micProducer.paused);
+      inputParams.produceVideo = Boolean(_this._webcamProducer);
+      inputParams.share = false;
+      _this._peers.forEach(function (peer, peerId) {
+        _this.emit("peerLeft", {
+          peerId: peerId
+        });
+      });
+      _this._lastRouterRtpCapabilities = _this._routerRtpCapabilities;
+      _this.leaveRoomCommon();
+      _this._roomStatus = "connecting";
+      _this._producers.clear();
+      _this._consumers.clear();
+      _this._micProducer = null;
+      _this._webcamProducer = null;
+      _this._shareProducer = null;
+      _this._shareAudioProducer = null;
+      _this._peers = new Map();
+      _this._raisedHands = [];
+      // Spotlight belongs to the room being left.
+      _this._spotlightedPeer = null;
+      _this._screenSharers = [];
+      _this._shareTakeoverRequests = [];
+      _this._pendingBreakoutRoom = breakOutRoom;
+      _this._sendMessage({
+        id: "joinBreakOutRoom",
+        peerId: inputParams.peerId,
+        roomName: inputParams.roomId,
+        breakOutRoom: breakOutRoom,
+        participantType: inputParams.peerType,
+        name: inputParams.peerName
+      });
+    });
+    (0, _defineProperty2["default"])(_this, "handleExistingParticipantsBR", function (message) {
+      logger.debug("Existing participants in breakout room:%O", message);
+      var breakOutRoom = message.breakOutRoom !== undefined ? message.breakOutRoom || null : _this._pendingBreakoutRoom;
+      _this._currentBreakoutRoom = breakOutRoom;
+      _this._pendingBreakoutRoom = null;
+      var recording = _this._roomRecordings[_this._recordingRoomKey()];
+      _this._recordingNo = recording ? recording.recordingNo : null;
+      _this._setRecordingState(recording && recording.recordingState === "recording" ? "recording" : "idle");
+      return _this.onExistingParticipants(_objectSpread(_objectSpread({}, message), {}, {
+        routerRtpCapabilities: message.routerRtpCapabilities || _this._lastRouterRtpCapabilities,
+        roomDisplayName: message.roomDisplayName || _this._roomDisplayName
+      })).then(function () {
+        var room = breakOutRoom ? _this._findBreakoutRoom(breakOutRoom) : null;
+        _this.emit("breakoutRoomJoined", {
+          breakOutRoom: breakOutRoom,
+          name: room ? room.name : null
+        });
+      })["catch"](function (error) {
+        logger.error("Joining breakout room failed:%O", error);
+      });
     });
     (0, _defineProperty2["default"])(_this, "setRecordingStatusStarted", function (message) {
       logger.debug("Recording/Streaming started by moderator!!:%O", message);
@@ -1316,10 +4855,22 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         recordingStartTime = message.recordingStartTime,
         recordingNo = message.recordingNo,
         type = message.type;
+      if (!_this._isCurrentRoom(breakOutRoom)) {
+        logger.debug("Recording started in another room:%s", breakOutRoom);
+        if ([_constants.RECORD, _constants.RTMPSTREAMANDRECORD].includes(type)) {
+          _this._roomRecordings[breakOutRoom || "main-room"] = {
+            recordingState: "recording",
+            recordingNo: recordingNo
+          };
+        }
+        return;
+      }
       if ([_constants.RECORD, _constants.RTMPSTREAMANDRECORD].includes(type)) {
-        if (_this._recordingStartedByMe["main-room"]) {
+        _this._recordingNo = recordingNo;
+        _this._setRecordingState("recording");
+        if (_this._recordingStartedByMe[_this._recordingRoomKey()]) {
           logger.debug("This recording has been started by me.");
-          _this._recordingStartedByMe["main-room"].recordingNo = recordingNo;
+          _this._recordingStartedByMe[_this._recordingRoomKey()].recordingNo = recordingNo;
           _this.emit("recordingStarted", {
             peerId: _this.data.inputParams.peerId,
             startTime: recordingStartTime
@@ -1329,18 +4880,49 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             startTime: recordingStartTime
           });
         }
-      } else {
-        // No need to handle any live streaming events now!
+      }
+      if ([_constants.RTMPSTREAM, _constants.RTMPSTREAMANDRECORD].includes(type)) {
+        var startedByMe = Boolean(_this._liveStream && _this._liveStream.startedByMe);
+        clearTimeout(_this._liveStreamTimer);
+        _this._liveStreamTimer = null;
+        _this._liveStream = {
+          type: type,
+          recordingNo: recordingNo,
+          startedByMe: startedByMe,
+          live: true,
+          stopping: false
+        };
+        _this.emit("liveStreamStarted", _objectSpread(_objectSpread({}, startedByMe ? {
+          peerId: _this.data.inputParams.peerId
+        } : {}), {}, {
+          startTime: recordingStartTime,
+          alsoRecord: type === _constants.RTMPSTREAMANDRECORD
+        }));
       }
     });
     (0, _defineProperty2["default"])(_this, "setRecordingStatusEnded", function (message) {
       logger.debug("Recording ended by moderator!!, data:%O", message);
       var breakOutRoom = message.breakOutRoom,
         type = message.type;
-      if (type === _constants.RTMPSTREAM) {
-        // No need to alert the user about the livestreaming end event
-      } else {
-        _this.emit("recordingEnded", {});
+      if (!_this._isCurrentRoom(breakOutRoom)) {
+        logger.debug("Recording ended in another room:%s", breakOutRoom);
+        delete _this._roomRecordings[breakOutRoom || "main-room"];
+        return;
+      }
+      if ([_constants.RTMPSTREAM, _constants.RTMPSTREAMANDRECORD].includes(type) && _this._resetLiveStream()) {
+        _this.emit("liveStreamEnded", {
+          alsoRecord: type === _constants.RTMPSTREAMANDRECORD
+        });
+      }
+      if (type !== _constants.RTMPSTREAM) {
+        var stoppedByMe = _this._recordingStoppedByMe;
+        delete _this._recordingStartedByMe[_this._recordingRoomKey()];
+        _this._recordingStoppedByMe = false;
+        _this._recordingNo = null;
+        _this._setRecordingState("stopped");
+        _this.emit("recordingEnded", stoppedByMe ? {
+          peerId: _this.data.inputParams.peerId
+        } : {});
       }
     });
     (0, _defineProperty2["default"])(_this, "startProcessing", /*#__PURE__*/(0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee15() {
@@ -1524,7 +5106,63 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     _this._shareAudioProducer = null;
     _this._producers = new Map();
     _this._consumers = new Map();
+    // label -> DataProducer of the channels this peer created; null while one is being set up.
+    _this._dataProducers = new Map();
+    _this._dataConsumers = new Map();
     _this._peers = new Map();
+    // Socket requests waiting for their response.
+    _this._queue = new _queue.SocketQueue();
+    // Peer ids with a raised hand, in the order given by the server.
+    _this._raisedHands = [];
+    _this._moderatorRoleRequested = false;
+    _this._moderatorRoleRequestTimer = null;
+    _this._roomLocked = false;
+    // Peers waiting for a moderator to let them in: [{peerId, peerName, text}]
+    _this._waitingPeers = [];
+    // Peer every client shows on the main stage, set by a moderator.
+    _this._spotlightedPeer = null;
+    _this._roomSettings = _objectSpread({}, DEFAULT_ROOM_SETTINGS);
+    _this._entryMedia = false;
+    // Peer ids sharing their screen, oldest first.
+    _this._screenSharers = [];
+    // Peer ids asking this peer to hand over the screen share.
+    _this._shareTakeoverRequests = [];
+    // {resolve, reject, timer} of the joinRoom() call waiting for existingParticipants.
+    _this._pendingJoin = null;
+    _this._initialised = false;
+    _this._reconnectOptions = reconnectOptions || {};
+    // connectionState combines the signalling socket with the send/recv transports.
+    _this._connectionState = "connecting";
+    _this._socketState = "connecting";
+    _this._transportStates = {};
+    _this._reconnectInfo = {
+      attempt: 0,
+      delay: 0
+    };
+    // [{message, timer}] waiting for the socket to come back, oldest first.
+    _this._outboundQueue = [];
+    _this._getToken = tokenOptions.getToken || null;
+    _this._tokenVerifier = tokenOptions.tokenVerifier || null;
+    _this._tokenRefreshLead = tokenOptions.tokenRefreshLead === undefined ? TOKEN_REFRESH_LEAD : tokenOptions.tokenRefreshLead;
+    _this._tokenExpiryTimer = null;
+    // Pending getToken() round, shared by everything asking for a refresh meanwhile.
+    _this._tokenRefresh = null;
+    _this._chat = new Chat(_this);
+    // topic -> {schema, handlers} of publish()/subscribe().
+    _this._topics = new Map();
+    // null when init({rateLimits: false}) turned limiting off.
+    _this._rateLimits = rateLimits === undefined ? DEFAULT_RATE_LIMITS : rateLimits;
+    _this._rateBuckets = new Map();
+    // null unless init({e2ee}) asked for it. tracks: consumerId -> {peerId, status} of each receiver;
+    // statuses: peerId -> "pending"|"active"|"missingKey"|"decryptionFailed", combined over its receivers.
+    _this._e2ee = e2ee ? {
+      options: e2ee,
+      mode: e2eeSupport(),
+      worker: null,
+      keyIndex: -1,
+      tracks: new Map(),
+      statuses: new Map()
+    } : null;
     _this._data = _objectSpread(_objectSpread({}, outputData), {}, {
       inputParams: {
         peerId: _peerId,
@@ -1568,6 +5206,25 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     _this._client = _bowser["default"].parse(window.navigator.userAgent);
     _this._routerRtpCapabilities = null;
     _this._recordingStartedByMe = {};
+    // idle -> starting -> recording -> stopping -> stopped, or failed from any transitional state.
+    _this._recordingState = "idle";
+    _this._recordingNo = null;
+    _this._recordingStoppedByMe = false;
+    _this._recordingTimer = null;
+    // {type, recordingNo, startedByMe, live, stopping} while a live stream is requested or running.
+    _this._liveStream = null;
+    _this._liveStreamTimer = null;
+    // Breakout rooms: [{breakOutRoom, name, peers}]. A null current room means the main room.
+    _this._breakoutRooms = [];
+    _this._breakoutRoomsOpen = false;
+    _this._breakoutEndsAt = null;
+    _this._breakoutTimer = null;
+    _this._breakoutTimerOwner = false;
+    _this._currentBreakoutRoom = null;
+    _this._pendingBreakoutRoom = null;
+    _this._lastRouterRtpCapabilities = null;
+    // Recording state of the rooms this peer is not in, keyed like _recordingStartedByMe.
+    _this._roomRecordings = {};
     //The value of this._client in this case should look like this.
     // {
     //   browser: {
@@ -1592,6 +5249,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
     _this._restartIceInProgressSendTransport = false;
     _this._restartIceInProgressRecvTransport = false;
     _this._activeSpeaker = null;
+    _this._scheduleTokenExpiry();
     _this.initLocal();
     return _this;
   }
@@ -1610,71 +5268,187 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
       throw new Error("Setting the whole data object is not possible!");
     }
   }, {
-    key: "peers",
+    key: "peers",
+    get: function get() {
+      return this._peers;
+    },
+    set: function set(data) {
+      throw new Error("Setting the whole peers object is not possible!");
+    }
+  }, {
+    key: "transports",
+    get: function get() {
+      return {
+        produce: this._sendTransport,
+        consume: this._recvTransport
+      };
+    },
+    set: function set(data) {
+      throw new Error("Setting of transport is not possible!");
+    }
+  }, {
+    key: "videoStream",
+    get: function get() {
+      return this._webCamStream;
+    }
+  }, {
+    key: "audioStream",
+    get: function get() {
+      return this._micStream;
+    }
+  }, {
+    key: "clientAgent",
+    get: function get() {
+      return this._client;
+    }
+  }, {
+    key: "activeParameters",
+    get: function get() {
+      return this._data.inputParams;
+    }
+  }, {
+    key: "deviceList",
+    get: function get() {
+      return this._deviceList ? this._deviceList : {
+        videoDevices: [],
+        audioDevices: [],
+        audioOutputDevices: []
+      };
+    },
+    set: function set(data) {
+      throw new Error("Setting of deviceList is not possible!");
+    }
+  }, {
+    key: "currentlyActiveSpeaker",
+    get: function get() {
+      return this._activeSpeaker;
+    },
+    set: function set(data) {
+      throw new Error("Setting of currentActivespeaker is not possible!");
+    }
+  }, {
+    key: "roomDisplayName",
+    get: function get() {
+      return this._roomDisplayName;
+    },
+    set: function set(data) {
+      throw new Error("Setting of roomDisplayName is not possible!");
+    }
+  }, {
+    key: "raisedHands",
+    get: function get() {
+      return this._raisedHands;
+    },
+    set: function set(data) {
+      throw new Error("Setting of raisedHands is not possible!");
+    }
+  }, {
+    key: "chat",
+    get: function get() {
+      return this._chat;
+    },
+    set: function set(data) {
+      throw new Error("Setting of chat is not possible!");
+    }
+  }, {
+    key: "e2eeStatus",
+    get: function get() {
+      var statuses = {};
+      if (this._e2ee) this._e2ee.statuses.forEach(function (status, peerId) {
+        statuses[peerId] = status;
+      });
+      return statuses;
+    },
+    set: function set(data) {
+      throw new Error("Setting of e2eeStatus is not possible!");
+    }
+  }, {
+    key: "e2eeEnabled",
+    get: function get() {
+      return !!this._e2ee;
+    },
+    set: function set(data) {
+      throw new Error("Setting of e2eeEnabled is not possible!");
+    }
+  }, {
+    key: "peerRole",
+    get: function get() {
+      return this.data.inputParams.peerType;
+    },
+    set: function set(data) {
+      throw new Error("Setting of peerRole is not possible!");
+    }
+  }, {
+    key: "roomLocked",
     get: function get() {
-      return this._peers;
+      return this._roomLocked;
     },
     set: function set(data) {
-      throw new Error("Setting the whole peers object is not possible!");
+      throw new Error("Setting of roomLocked is not possible!");
     }
   }, {
-    key: "transports",
+    key: "waitingPeers",
     get: function get() {
-      return {
-        produce: this._sendTransport,
-        consume: this._recvTransport
-      };
+      return this._waitingPeers;
     },
     set: function set(data) {
-      throw new Error("Setting of transport is not possible!");
+      throw new Error("Setting of waitingPeers is not possible!");
     }
   }, {
-    key: "videoStream",
+    key: "recordingState",
     get: function get() {
-      return this._webCamStream;
+      return this._recordingState;
+    },
+    set: function set(data) {
+      throw new Error("Setting of recordingState is not possible!");
     }
   }, {
-    key: "audioStream",
+    key: "isLive",
     get: function get() {
-      return this._micStream;
+      return Boolean(this._liveStream && this._liveStream.live);
+    },
+    set: function set(data) {
+      throw new Error("Setting of isLive is not possible!");
     }
   }, {
-    key: "clientAgent",
+    key: "connectionState",
     get: function get() {
-      return this._client;
+      return this._connectionState;
+    },
+    set: function set(data) {
+      throw new Error("Setting of connectionState is not possible!");
     }
   }, {
-    key: "activeParameters",
+    key: "roomSettings",
     get: function get() {
-      return this._data.inputParams;
+      return _objectSpread({}, this._roomSettings);
+    },
+    set: function set(data) {
+      throw new Error("Setting of roomSettings is not possible!");
     }
   }, {
-    key: "deviceList",
+    key: "spotlightedPeer",
     get: function get() {
-      return this._deviceList ? this._deviceList : {
-        videoDevices: [],
-        audioDevices: [],
-        audioOutputDevices: []
-      };
+      return this._spotlightedPeer;
     },
     set: function set(data) {
-      throw new Error("Setting of deviceList is not possible!");
+      throw new Error("Setting of spotlightedPeer is not possible!");
     }
   }, {
-    key: "currentlyActiveSpeaker",
+    key: "breakoutRooms",
     get: function get() {
-      return this._activeSpeaker;
+      return this._breakoutRooms;
     },
     set: function set(data) {
-      throw new Error("Setting of currentActivespeaker is not possible!");
+      throw new Error("Setting of breakoutRooms is not possible!");
     }
   }, {
-    key: "roomDisplayName",
+    key: "currentBreakoutRoom",
     get: function get() {
-      return this._roomDisplayName;
+      return this._currentBreakoutRoom;
     },
     set: function set(data) {
-      throw new Error("Setting of roomDisplayName is not possible!");
+      throw new Error("Setting of currentBreakoutRoom is not possible!");
     }
   }, {
     key: "initLocal",
@@ -1719,10 +5493,12 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               //     browserVersion: this._client.browser.version,
               //     os: this._client.os.name,
               //   });
-              signallingUrl = this.data.signallingServerUrl.replace(/^(http|https):\/\//, "");
-              socketAddress = "wss://".concat("".concat(signallingUrl), "/?sessionToken=", this.data.sessionToken, "&roomId=").concat(this.data.inputParams.roomId, "&peerId=").concat(this.data.inputParams.peerId, "&roomType=").concat(this.data.inputParams.roomType);
+              signallingUrl = this.data.signallingServerUrl.replace(/^(http|https|ws|wss):\/\//, "");
+              socketAddress = this._socketAddress();
               logger.info("Going to create a new socket! with address: ".concat(signallingUrl));
-              this._socket = new _socket.WebSocketTransport(socketAddress, true);
+              this._socket = new _socket.WebSocketTransport(socketAddress, true, _objectSpread(_objectSpread({}, this._reconnectOptions), {}, {
+                beforeReconnect: this._beforeReconnect
+              }));
               this._listenToSocket();
               this._socket.on("notify", function (_ref24) {
                 var type = _ref24.type,
@@ -1753,6 +5529,19 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                   eventText: "".concat(message.text)
                 });
               });
+              this._socket.on("invalidToken", function (message) {
+                logger.error("Session token rejected by server:%O", message);
+                var text = "Error while trying to connect. The session token is invalid or has expired.";
+                if (_this2._pendingJoin) {
+                  _this2._joinFailed("RJID003", "invalidToken", text);
+                } else {
+                  _this2.emit("initError", {
+                    code: "INID001",
+                    type: "invalidToken",
+                    text: text
+                  });
+                }
+              });
               this._socket.on("validationAlert", function (message) {
                 logger.info("Validation alert happened");
               });
@@ -1776,8 +5565,14 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               });
               this._socket.on("close", function (_ref26) {
                 var code = _ref26.code,
-                  reason = _ref26.reason;
+                  reason = _ref26.reason,
+                  reconnecting = _ref26.reconnecting;
                 logger.info("socket closed with code ".concat(code));
+                _this2._queue.rejectAll(new Error("socket closed"));
+                if (_this2._pendingJoin) {
+                  _this2._joinFailed("RJID005", "connectionLost", "Error while trying to join room. The connection to the server was lost.");
+                }
+                _this2._setSocketState(reconnecting ? "reconnecting" : "disconnected");
                 if (code !== 4500 && code !== 4100) {
                   var closeReason = reason ? reason : "Connection to server closed unexpectedly! Trying to reconnect.";
                   logger.info("socket close code is".concat(code, " with reason ").concat(closeReason));
@@ -1787,33 +5582,63 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                   _this2.close();
                 }
               });
+              this._socket.on("reconnecting", function (_ref27) {
+                var attempt = _ref27.attempt,
+                  delay = _ref27.delay;
+                logger.info("Socket reconnect attempt %s in %sms", attempt, delay);
+                _this2._reconnectInfo = {
+                  attempt: attempt,
+                  delay: delay
+                };
+                // Retries of the very first connection stay in the connecting state.
+                if (_this2._socketState === "connecting") return;
+                if (_this2._connectionState === "reconnecting") {
+                  _this2.emit("reconnecting", {
+                    attempt: attempt,
+                    delay: delay
+                  });
+                } else {
+                  _this2._setSocketState("reconnecting");
+                }
+              });
+              this._socket.on("reconnectFailed", function (_ref29) {
+                var attempts = _ref29.attempts;
+                logger.error("Socket could not reconnect after %s attempts", attempts);
+                _this2._queue.rejectAll(new Error("socket closed"));
+                _this2._dropOutboundQueue("failed");
+                _this2._setSocketState("failed");
+                if (!_this2._initialised) {
+                  _this2.emit("initError", {
+                    code: "INID002",
+                    type: "connectionFailed",
+                    text: "Error while trying to connect. The server could not be reached after ".concat(attempts, " attempts.")
+                  });
+                }
+              });
               this._socket.on("connected", /*#__PURE__*/(0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee17() {
                 return _regenerator["default"].wrap(function _callee17$(_context17) {
                   while (1) switch (_context17.prev = _context17.next) {
                     case 0:
                       logger.info("Socket connected");
-                      if (!globalThis.pc || !globalThis._sendTransport || !globalThis._recvTransport) {
+                      _this2._setSocketState("connected");
+                      _this2._flushOutboundQueue();
+                      if (!_this2._initialised) {
                         logger.info("Connection getting connected for first time");
+                        _this2._initialised = true;
                         _this2.emit("initSuccess");
-                      } else if (roomType === _constants._security.roomType.P2P && globalThis.pc) {
-                        logger.info("Socket seems to be reconnected in mid call! RestartIce needed for p2p call.");
-                        if (globalThis.pc.iceConnectionState === "failed" || globalThis.pc.iceConnectionState === "disconnected") {
-                          globalThis.restartICE();
-                        }
+                      } else if (_this2._roomStatus !== "connected") {
+                        logger.info("Socket reconnected before joining a room, nothing to resync");
                       } else {
-                        logger.debug("Ice restarts for mediasoup transports for a joined peer");
-                        if (globalThis._sendTransport && ["Failed", "disconnected"].includes(globalThis._sendTransport.connectionState)) {
+                        logger.info("Socket reconnected in mid call, restarting ICE where needed and resyncing room state");
+                        if (_this2._sendTransport && ["failed", "disconnected"].includes(_this2._sendTransport.connectionState)) {
                           logger.debug("Restart ice for sendtransport");
-                          globalThis.restartIce(globalThis._sendTransport.id, "send");
-                        } else {
-                          logger.error("Send transport not available!");
+                          _this2.restartIce(_this2._sendTransport.id, "send");
                         }
-                        if (globalThis._recvTransport && ["Failed", "disconnected"].includes(globalThis._recvTransport.connectionState)) {
+                        if (_this2._recvTransport && ["failed", "disconnected"].includes(_this2._recvTransport.connectionState)) {
                           logger.debug("Restart ice for recvtransport");
-                          globalThis.restartIce(globalThis._recvTransport.id, "recv");
-                        } else {
-                          logger.error("Recv transport not available!");
+                          _this2.restartIce(_this2._recvTransport.id, "recv");
                         }
+                        _this2.resyncRoomState();
                       }
                     case 2:
                     case "end":
@@ -1848,12 +5673,131 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
       }
       return _initSocket;
     }()
+  }, {
+    key: "_socketAddress",
+    value: function _socketAddress() {
+      // Plain http:// and ws:// (local stand-ins) keep an unencrypted socket; anything else uses wss://.
+      var scheme = /^(http|ws):\/\//.test(this.data.signallingServerUrl) ? "ws://" : "wss://";
+      var signallingUrl = this.data.signallingServerUrl.replace(/^(http|https|ws|wss):\/\//, "");
+      return scheme.concat(signallingUrl, "/?sessionToken=", this.data.sessionToken, "&roomId=").concat(this.data.inputParams.roomId, "&peerId=").concat(this.data.inputParams.peerId, "&roomType=").concat(this.data.inputParams.roomType);
+    }
   }, {
     key: "_sendMessage",
-    value: function _sendMessage(message) {
-      this._socket.send(_objectSpread({
+    value:
+    /**
+     * Send a message to the server. While the socket is reconnecting, messages
+     * other than requests and media signalling are queued and sent in order once
+     * it is back; a queued message that outlives its ttl is dropped and reported
+     * through the `messageDropped` event.
+     *
+     * @param {Object} message
+     * @param {Object} [options]
+     * @param {Number} [options.ttl] - ms the message may wait in the queue.
+     *
+     * @returns {Promise}
+     */
+    function _sendMessage(message) {
+      var _this10 = this;
+      var _ref44 = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {},
+        _ref44$ttl = _ref44.ttl,
+        ttl = _ref44$ttl === void 0 ? OUTBOUND_MESSAGE_TTL : _ref44$ttl;
+      var payload = _objectSpread({
         usageType: "sdk"
-      }, message));
+      }, message);
+      if (this._socketState !== "reconnecting" || message.requestId || UNBUFFERED_MESSAGE_IDS.includes(message.id)) {
+        return this._socket.send(payload);
+      }
+      if (this._outboundQueue.length >= OUTBOUND_QUEUE_LIMIT) {
+        this._dropOutboundMessage(this._outboundQueue[0], "queueFull");
+      }
+      var entry = {
+        message: payload
+      };
+      entry.timer = setTimeout(function () {
+        _this10._dropOutboundMessage(entry, "expired");
+      }, ttl);
+      this._outboundQueue.push(entry);
+      logger.debug("Socket reconnecting, queued message [id:%s, queued:%s]", message.id, this._outboundQueue.length);
+      return Promise.resolve();
+    }
+  }, {
+    key: "_dropOutboundMessage",
+    value: function _dropOutboundMessage(entry, reason) {
+      clearTimeout(entry.timer);
+      this._outboundQueue = this._outboundQueue.filter(function (queued) {
+        return queued !== entry;
+      });
+      logger.warn("Dropped queued message [id:%s, reason:%s]", entry.message.id, reason);
+      this.emit("messageDropped", {
+        id: entry.message.id,
+        message: entry.message,
+        reason: reason
+      });
+    }
+  }, {
+    key: "_dropOutboundQueue",
+    value: function _dropOutboundQueue(reason) {
+      var _this11 = this;
+      this._outboundQueue.slice().forEach(function (entry) {
+        _this11._dropOutboundMessage(entry, reason);
+      });
+    }
+  }, {
+    key: "_flushOutboundQueue",
+    value: function _flushOutboundQueue() {
+      var _this12 = this;
+      var queue = this._outboundQueue;
+      if (!queue.length) return;
+      this._outboundQueue = [];
+      logger.info("Socket back, sending %s queued messages", queue.length);
+      queue.forEach(function (entry) {
+        clearTimeout(entry.timer);
+        _this12._socket.send(entry.message)["catch"](function (error) {
+          logger.error("Failed to send queued message [id:%s]:%O", entry.message.id, error);
+          _this12.emit("messageDropped", {
+            id: entry.message.id,
+            message: entry.message,
+            reason: "sendFailed"
+          });
+        });
+      });
+    }
+
+    /**
+     * Send a message that expects a reply from the server. The message carries a
+     * request id which the server echoes back in the matching response.
+     *
+     * @param {Object} message
+     * @param {String} [responseId] - id of the response message, defaults to
+     * `${message.id}Response`.
+     *
+     * @returns {Promise<Object>} Resolves with the response message, rejects on
+     * timeout or when the socket closes before the response arrives.
+     */
+  }, {
+    key: "_sendRequest",
+    value: function _sendRequest(message) {
+      var _this9 = this;
+      var responseId = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "".concat(message.id, "Response");
+      var requestId = (0, _uuidv.uuidv4)();
+      var request = this._queue.push(requestId, responseId, REQUEST_TIMEOUT, message);
+      logger.debug("_sendRequest() [id:%s, requestId:%s]", message.id, requestId);
+      Promise.resolve().then(function () {
+        return _this9._sendMessage(_objectSpread(_objectSpread({}, message), {}, {
+          requestId: requestId
+        }));
+      })["catch"](function (error) {
+        _this9._queue.reject(requestId, error);
+      });
+      return request;
+    }
+  }, {
+    key: "_handleResponse",
+    value: function _handleResponse(message) {
+      var requestId = message.requestId || this._queue.find(message.id);
+      if (!requestId || !this._queue.resolve(requestId, message)) {
+        logger.warn("received response does not match any pending request [id:%s, requestId:%s]", message.id, message.requestId);
+      }
     }
   }, {
     key: "_listenToSocket",
@@ -1886,6 +5830,13 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case "authenticationRequested":
               _this3.authenticationRequested(parsedMessage);
               break;
+            case "joinDenied":
+            case "userDenied":
+              _this3.handleJoinDenied(parsedMessage);
+              break;
+            case "invalidPassword":
+              _this3.handleInvalidPassword(parsedMessage);
+              break;
             case "toggleMyMic":
               _this3.toggleMyMic(parsedMessage);
               break;
@@ -1935,17 +5886,24 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               _this3.handleCreateTransportRequest(parsedMessage);
               break;
             case "connectTransportResponse":
-              _this3.handleConnectTransportRequest(parsedMessage);
-              break;
             case "connectRecvTransportResponse":
-              _this3.handleConnectRecvTransportRequest(parsedMessage);
-              break;
             case "sendTrackResponse":
-              _this3.handleSendTrackRequest(parsedMessage);
+              _this3._handleResponse(parsedMessage);
               break;
             case "recvTrackResponse":
               _this3.handleRecvTrackRequest(parsedMessage);
               break;
+            case "roomSnapshotResponse":
+            case "chatMessageAck":
+            case "produceDataResponse":
+              _this3._handleResponse(parsedMessage);
+              break;
+            case "newDataConsumer":
+              _this3.handleNewDataConsumer(parsedMessage);
+              break;
+            case "dataConsumerClosed":
+              _this3.handleDataConsumerClosed(parsedMessage);
+              break;
             //   case "resumeConsumerResponse":
             //     this.handleResumeConsumerRequest(parsedMessage);
             //     break;
@@ -1966,7 +5924,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               _this3.setCurrentlyActiveSpeaker(parsedMessage);
               break;
             case "restartIceResponse":
-              _this3.restartIceResponse(parsedMessage);
+              _this3._handleResponse(parsedMessage);
               break;
             case "consumerClosed":
               _this3.closeConsumer(parsedMessage);
@@ -1983,30 +5941,42 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case "downgradeParticipant":
               _this3.handleDowngradeParticipant(parsedMessage);
               break;
-            // case "breakOutRooms":
-            //   this.handleBreakOutRooms(parsedMessage);
-            //   break;
-            // case "spotLight":
-            //   this.handleSpotLight(parsedMessage);
-            //   break;
+            case "breakOutRooms":
+              _this3.handleBreakOutRooms(parsedMessage);
+              break;
+            case "spotLight":
+              _this3.handleSpotLight(parsedMessage);
+              break;
             case "switchMicOff":
               _this3.handleSwitchMicOff(parsedMessage);
               break;
-            // case "confRoomSettings":
-            //   this.handleConfRoomSettings(parsedMessage);
-            //   break;
+            case "confRoomSettings":
+              _this3.handleConfRoomSettings(parsedMessage);
+              break;
             case "screenShareLimitReached":
               _this3.handleScreenShareLimitReached(parsedMessage);
               break;
+            case "screenShareTakeoverReq":
+              _this3.handleScreenShareTakeoverReq(parsedMessage);
+              break;
+            case "screenShareTakeoverRes":
+              _this3.handleScreenShareTakeoverRes(parsedMessage);
+              break;
+            case "stopScreenShare":
+              _this3.handleStopScreenShare(parsedMessage);
+              break;
             case "upgradeLimitReached":
               _this3.handleUpgradeLimitReached(parsedMessage);
               break;
             case "modUpgradeReq":
               _this3.handleModUpgradeReq(parsedMessage);
               break;
-            // case "existingParticipantsBR":
-            //   this.handleExistingParticipantsBR(parsedMessage);
-            //   break;
+            case "modUpgradeDenied":
+              _this3.handleModUpgradeDenied(parsedMessage);
+              break;
+            case "existingParticipantsBR":
+              _this3.handleExistingParticipantsBR(parsedMessage);
+              break;
             case "lockUnlockRoom":
               _this3.handleLockUnlockRoom(parsedMessage);
               break;
@@ -2092,6 +6062,10 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               this._roomDisplayName = msg.roomDisplayName;
               this._running = true;
               this._socket._roomJoined = true;
+              // Entry settings must be known before the send transport produces media.
+              if (msg.roomSettings) this.handleConfRoomSettings({
+                roomSettings: msg.roomSettings
+              });
               this.emit("newPeer", {
                 peerId: this.data.inputParams.peerId,
                 peerName: this.data.inputParams.peerName,
@@ -2120,6 +6094,11 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               that = this;
               if (msg.peers && msg.peers.length > 0) {
                 msg.peers.forEach(function (peer) {
+                  that._peers.set(peer.peerId, {
+                    displayName: peer.name,
+                    participantType: peer.participantType,
+                    consumers: []
+                  });
                   that.emit("newPeer", {
                     peerId: peer.peerId,
                     peerName: peer.name,
@@ -2133,6 +6112,9 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case 20:
               logger.debug("Consume is false!");
             case 21:
+              this._joinSucceeded(msg);
+              this._chat._replayHistory(msg.chatHistory);
+            case 22:
             case "end":
               return _context20.stop();
           }
@@ -2163,6 +6145,35 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
       this._socket = null;
       this.data.inputParams = {};
       logger.info("Room close()");
+      this._queue.rejectAll(new Error("room closed"));
+      if (this._pendingJoin) {
+        clearTimeout(this._pendingJoin.timer);
+        this._pendingJoin.reject(new Error("room closed"));
+        this._pendingJoin = null;
+      }
+      this._transportStates = {};
+      this._dropOutboundQueue("closed");
+      clearTimeout(this._tokenExpiryTimer);
+      this._rateBuckets.forEach(function (bucket) {
+        clearTimeout(bucket.timer);
+      });
+      this._rateBuckets.clear();
+      if (this._e2ee && this._e2ee.worker) {
+        this._e2ee.worker.terminate();
+        this._e2ee.worker = null;
+      }
+      this._setSocketState("disconnected");
+      this._raisedHands = [];
+      clearTimeout(this._moderatorRoleRequestTimer);
+      this._waitingPeers = [];
+      this._spotlightedPeer = null;
+      this._screenSharers = [];
+      this._shareTakeoverRequests = [];
+      clearTimeout(this._recordingTimer);
+      clearTimeout(this._liveStreamTimer);
+      this._liveStream = null;
+      clearTimeout(this._breakoutTimer);
+      this._breakoutTimer = null;
 
       // Close protoo Peer
       // this._cignal.close();
@@ -2317,6 +6328,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           sampleRate,
           forcePCMU,
           forcePCMA,
+          muteOnEntry,
           track,
           device,
           _args25 = arguments;
@@ -2325,6 +6337,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case 0:
               _ref30 = _args25.length > 0 && _args25[0] !== undefined ? _args25[0] : {}, _ref30$deviceId = _ref30.deviceId, deviceId = _ref30$deviceId === void 0 ? null : _ref30$deviceId, autoGainControl = _ref30.autoGainControl, noiseSuppression = _ref30.noiseSuppression, echoCancellation = _ref30.echoCancellation, channelCount = _ref30.channelCount, sampleRate = _ref30.sampleRate, forcePCMU = _ref30.forcePCMU, forcePCMA = _ref30.forcePCMA;
               logger.debug("enableMic()");
+              muteOnEntry = this._entryMedia && this._roomSettings.muteOnEntry && this.data.inputParams.peerType !== "moderator";
               if (this.data.inputParams.produce) {
                 _context25.next = 7;
                 break;
@@ -2470,6 +6483,9 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               this._micStream = _context25.sent;
               track = this._micStream.getAudioTracks()[0].clone();
             case 52:
+              // Muted on entry: the track sends silence and the server creates the producer paused,
+              // so no audio gets out before muteMic() below pauses it locally too.
+              if (muteOnEntry) track.enabled = false;
               _context25.next = 54;
               return this._sendTransport.produce({
                 track: track,
@@ -2485,7 +6501,8 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                   return codec.mimeType.toLowerCase() === "audio/pcma";
                 }) : undefined,
                 appData: {
-                  mediaTag: "cam-audio"
+                  mediaTag: "cam-audio",
+                  paused: muteOnEntry
                 }
                 // NOTE: for testing codec selection.
                 // codec : this._device.rtpCapabilities.codecs
@@ -2493,9 +6510,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               });
             case 54:
               this._micProducer = _context25.sent;
-              // if (this._e2eKey && e2e.isSupported()) {
-              //   e2e.setupSenderTransform(this._micProducer.rtpSender);
-              // }
+              this._attachE2EE(this._micProducer.rtpSender, "encode", this.data.inputParams.peerId);
 
               this._producers.set("audio", {
                 id: this._micProducer.id,
@@ -2509,6 +6524,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 audioTrack: this._micProducer.track,
                 type: "local"
               });
+              if (muteOnEntry) this.muteMic();
               this._micProducer.on("transportclose", function () {
                 _this5._micProducer = null;
               });
@@ -2696,6 +6712,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           enableWebcamLayers,
           numSimulcastStreams,
           videoBitRates,
+          policy,
           track,
           device,
           resolution,
@@ -2709,6 +6726,8 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case 0:
               _ref31 = _args29.length > 0 && _args29[0] !== undefined ? _args29[0] : {}, _ref31$deviceId = _ref31.deviceId, deviceId = _ref31$deviceId === void 0 ? null : _ref31$deviceId, videoResolution = _ref31.videoResolution, forceVp8 = _ref31.forceVp8, forceVp9 = _ref31.forceVp9, forceH264 = _ref31.forceH264, h264Profile = _ref31.h264Profile, forceFPS = _ref31.forceFPS, enableWebcamLayers = _ref31.enableWebcamLayers, numSimulcastStreams = _ref31.numSimulcastStreams, videoBitRates = _ref31.videoBitRates;
               logger.debug("enableWebcam()");
+              policy = this._checkRoomSettings("camera");
+              if (policy) return _context29.abrupt("return", policy);
               if (this.data.inputParams.produce) {
                 _context29.next = 7;
                 break;
@@ -2963,6 +6982,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               });
             case 70:
               this._webcamProducer = _context29.sent;
+              this._attachE2EE(this._webcamProducer.rtpSender, "encode", this.data.inputParams.peerId);
               this._producers.set("video", {
                 id: this._webcamProducer.id,
                 deviceLabel: device.label,
@@ -3475,6 +7495,9 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           enableSharingLayers,
           _ref36$shareBitRates,
           shareBitRates,
+          _ref36$takeover,
+          takeover,
+          policy,
           track,
           audioTrack,
           stream,
@@ -3486,8 +7509,10 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
         return _regenerator["default"].wrap(function _callee37$(_context37) {
           while (1) switch (_context37.prev = _context37.next) {
             case 0:
-              _ref36 = _args37.length > 0 && _args37[0] !== undefined ? _args37[0] : {}, _ref36$shareAudio = _ref36.shareAudio, shareAudio = _ref36$shareAudio === void 0 ? false : _ref36$shareAudio, _ref36$enableSharingL = _ref36.enableSharingLayers, enableSharingLayers = _ref36$enableSharingL === void 0 ? true : _ref36$enableSharingL, _ref36$shareBitRates = _ref36.shareBitRates, shareBitRates = _ref36$shareBitRates === void 0 ? [2500, 1250, 500] : _ref36$shareBitRates;
+              _ref36 = _args37.length > 0 && _args37[0] !== undefined ? _args37[0] : {}, _ref36$shareAudio = _ref36.shareAudio, shareAudio = _ref36$shareAudio === void 0 ? false : _ref36$shareAudio, _ref36$enableSharingL = _ref36.enableSharingLayers, enableSharingLayers = _ref36$enableSharingL === void 0 ? true : _ref36$enableSharingL, _ref36$shareBitRates = _ref36.shareBitRates, shareBitRates = _ref36$shareBitRates === void 0 ? [2500, 1250, 500] : _ref36$shareBitRates, _ref36$takeover = _ref36.takeover, takeover = _ref36$takeover === void 0 ? false : _ref36$takeover;
               logger.debug("enableShare()");
+              policy = this._checkRoomSettings("share");
+              if (policy) return _context37.abrupt("return", policy);
               if (this.data.inputParams.produce) {
                 _context37.next = 7;
                 break;
@@ -3601,6 +7626,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               });
             case 35:
               this._shareAudioProducer = _context37.sent;
+              this._attachE2EE(this._shareAudioProducer.rtpSender, "encode", this.data.inputParams.peerId);
               this._producers.set("ssAudio", {
                 id: this._shareAudioProducer.id,
                 // deviceLabel: device.label,
@@ -3719,6 +7745,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               });
             case 62:
               this._shareProducer = _context37.sent;
+              this._attachE2EE(this._shareProducer.rtpSender, "encode", this.data.inputParams.peerId);
               this._producers.set("ssVideo", {
                 id: this._shareProducer.id,
                 // deviceLabel: device.label,
@@ -3728,6 +7755,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 rtpParameters: this._shareProducer.rtpParameters,
                 codec: this._shareProducer.rtpParameters.codecs[0].mimeType.split("/")[1]
               });
+              this._setScreenSharer(this.data.inputParams.peerId, true);
               this.emit("ssVideoStart", {
                 peerId: this.data.inputParams.peerId,
                 videoTrack: this._shareProducer.track,
@@ -3739,12 +7767,38 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               this._shareProducer.on("trackended", function () {
                 _this8.disableShare()["catch"](function () {});
               });
-              _context37.next = 74;
+              _context37.next = 75;
               break;
             case 69:
               _context37.prev = 69;
               _context37.t0 = _context37["catch"](22);
               logger.error("enableShare() | failed:%o", _context37.t0);
+              if (!(_context37.t0.code === "SSID001")) {
+                _context37.next = 74;
+                break;
+              }
+              stream.getTracks().forEach(function (t) {
+                t.stop();
+              });
+              if (this._shareAudioProducer) {
+                this._shareAudioProducer.close();
+                this._sendMessage({
+                  id: "closeProducerSDK",
+                  peerId: this.data.inputParams.peerId,
+                  roomName: this.data.inputParams.roomId,
+                  type: "audio",
+                  producerId: this._shareAudioProducer.id
+                });
+                this._producers["delete"]("ssAudio");
+                this._shareAudioProducer = null;
+                this.emit("ssAudioStop", {
+                  peerId: this.data.inputParams.peerId,
+                  videoTrack: null,
+                  type: "local"
+                });
+              }
+              return _context37.abrupt("return", this._screenShareDenied(takeover));
+            case 74:
               if (_context37.t0.name !== "NotAllowedError") {
                 this.emit("error", {
                   code: "EID014",
@@ -3752,7 +7806,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
                 });
               }
               if (track) track.stop();
-            case 74:
+            case 75:
             case "end":
               return _context37.stop();
           }
@@ -3835,6 +7889,7 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               }
               this._shareAudioProducer = null;
               this._shareProducer = null;
+              this._setScreenSharer(this.data.inputParams.peerId, false);
             case 10:
             case "end":
               return _context38.stop();
@@ -3906,11 +7961,23 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
           innerSessionToken,
           signallingServerUrl,
           outputData,
+          reconnect,
+          reconnectOptions,
+          endpoints,
+          _ref37$environment,
+          environment,
+          resolvedEndpoints,
+          allocation,
+          tokenVerifier,
+          getToken,
+          tokenRefreshLead,
+          rateLimits,
+          e2ee,
           _args40 = arguments;
         return _regenerator["default"].wrap(function _callee40$(_context40) {
           while (1) switch (_context40.prev = _context40.next) {
             case 0:
-              _ref37 = _args40.length > 0 && _args40[0] !== undefined ? _args40[0] : {}, sessionToken = _ref37.sessionToken, roomId = _ref37.roomId, peerId = _ref37.peerId;
+              _ref37 = _args40.length > 0 && _args40[0] !== undefined ? _args40[0] : {}, sessionToken = _ref37.sessionToken, roomId = _ref37.roomId, peerId = _ref37.peerId, reconnect = _ref37.reconnect, endpoints = _ref37.endpoints, _ref37$environment = _ref37.environment, environment = _ref37$environment === void 0 ? _constants.DEFAULT_ENVIRONMENT : _ref37$environment, tokenVerifier = _ref37.tokenVerifier, getToken = _ref37.getToken, tokenRefreshLead = _ref37.tokenRefreshLead, rateLimits = _ref37.rateLimits, e2ee = _ref37.e2ee;
               if (sessionToken) {
                 _context40.next = 3;
                 break;
@@ -3918,62 +7985,109 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
               throw new Error("Session token is required to join the room.");
             case 3:
               _context40.prev = 3;
-              logger.info("session token:%s", sessionToken);
-              _context40.prev = 5;
-              decodedToken = _jsonwebtoken["default"].verify(sessionToken, "samvyo_tech_321", {
-                algorithms: ["HS256"]
-              });
-              logger.info("Decoded token:", decodedToken);
-              _context40.next = 26;
-              break;
-            case 10:
-              _context40.prev = 10;
-              _context40.t0 = _context40["catch"](5);
-              logger.error("JWT verification failed:", _context40.t0);
-              if (!(_context40.t0.name === "JsonWebTokenError")) {
-                _context40.next = 17;
+              resolvedEndpoints = resolveEndpoints(environment, endpoints || {});
+              e2ee = resolveE2EEOptions(e2ee);
+              if (!(tokenVerifier !== undefined && typeof tokenVerifier !== "function")) {
+                _context40.next = 7;
                 break;
               }
-              throw new Error("Invalid session token: " + _context40.t0.message);
-            case 17:
-              if (!(_context40.t0.name === "TokenExpiredError")) {
-                _context40.next = 21;
+              throw new Error("tokenVerifier should be a function, see JsSdk.createTokenVerifier()");
+            case 7:
+              if (!(getToken !== undefined && typeof getToken !== "function")) {
+                _context40.next = 9;
                 break;
               }
-              throw new Error("Session token has expired");
-            case 21:
-              if (!(_context40.t0.name === "NotBeforeError")) {
-                _context40.next = 25;
-                break;
+              throw new Error("getToken should be a function resolving with a new session token");
+            case 9:
+              if (tokenRefreshLead !== undefined && (typeof tokenRefreshLead !== "number" || !Number.isFinite(tokenRefreshLead) || tokenRefreshLead < 0)) {
+                logger.warn("Invalid value for tokenRefreshLead, default value will be used");
+                tokenRefreshLead = undefined;
               }
-              throw new Error("Session token not yet active");
-            case 25:
-              throw new Error("Failed to verify session token: " + _context40.t0.message);
-            case 26:
-              if (!(!decodedToken || (0, _typeof2["default"])(decodedToken) !== "object")) {
-                _context40.next = 28;
+              logger.info("session token:%s", sessionToken);
+              decodedToken = decodeSessionToken(sessionToken).payload;
+              if (!tokenVerifier) {
+                _context40.next = 14;
                 break;
               }
-              throw new Error("Invalid token format");
+              _context40.next = 12;
+              return verifySessionToken(tokenVerifier, sessionToken);
+            case 12:
+              decodedToken = _context40.sent;
+              logger.info("Session token signature verified");
+            case 14:
+              checkTokenClaims(decodedToken);
+              logger.info("Decoded token:", decodedToken);
             case 28:
-              _decodedToken = decodedToken, innerSessionToken = _decodedToken.data, signallingServerUrl = _decodedToken.signallingServerUrl;
-              if (!(!innerSessionToken || !signallingServerUrl)) {
-                _context40.next = 31;
+              _decodedToken = decodedToken, innerSessionToken = _decodedToken.data, signallingServerUrl = resolvedEndpoints.signalling || _decodedToken.signallingServerUrl;
+              if (innerSessionToken) {
+                _context40.next = 30;
                 break;
               }
               throw new Error("Missing required token data");
-            case 31:
+            case 30:
               if (!peerId) peerId = (0, _uuidv.uuidv4)();
               if (!roomId) roomId = (0, _getRandomInt.getRandomInt)();
+              logger.info("Using %s endpoints:%O", environment, resolvedEndpoints);
+              if (signallingServerUrl) {
+                _context40.next = 35;
+                break;
+              }
+              // Neither endpoints.signalling nor the token names a signalling server, so the allocation service picks one.
+              logger.info("Asking the allocation service for a signalling server");
+              _context40.next = 33;
+              return (0, _getVidScaleUrl.getVidScaleUrl)({
+                allocationUrl: resolvedEndpoints.allocation,
+                sessionToken: sessionToken,
+                roomId: roomId,
+                peerId: peerId,
+                consumerReplicas: 0,
+                participantData: {
+                  name: peerId
+                }
+              });
+            case 33:
+              allocation = _context40.sent;
+              if (allocation.success) {
+                _context40.next = 34;
+                break;
+              }
+              throw new Error("Media server allocation failed. ".concat(allocation.errorText || "No reason given"));
+            case 34:
+              signallingServerUrl = allocation.roomUrl;
+            case 35:
               outputData = {
                 sessionToken: sessionToken,
                 innerSessionToken: innerSessionToken,
-                signallingServerUrl: signallingServerUrl
+                signallingServerUrl: signallingServerUrl,
+                environment: environment,
+                endpoints: _objectSpread(_objectSpread({}, resolvedEndpoints), {}, {
+                  signalling: signallingServerUrl
+                }),
+                tokenExpiresAt: typeof decodedToken.exp === "number" ? decodedToken.exp * 1000 : null
               };
+              reconnectOptions = {};
+              Object.keys(reconnect || {}).forEach(function (key) {
+                var value = reconnect[key];
+                if (!RECONNECT_OPTIONS.includes(key)) {
+                  logger.warn("Unknown reconnect option '%s' is ignored", key);
+                } else if (typeof value !== "number" || !Number.isFinite(value) || value < (key === "backoffFactor" ? 1 : 0)) {
+                  logger.warn("Invalid value for reconnect option '%s', default value will be used", key);
+                } else {
+                  reconnectOptions[key] = value;
+                }
+              });
               return _context40.abrupt("return", new JsSdk({
                 peerId: peerId,
                 roomId: roomId,
-                outputData: outputData
+                outputData: outputData,
+                reconnectOptions: reconnectOptions,
+                rateLimits: rateLimits === false ? null : resolveRateLimits(rateLimits || {}),
+                e2ee: e2ee,
+                tokenOptions: {
+                  getToken: getToken,
+                  tokenVerifier: tokenVerifier,
+                  tokenRefreshLead: tokenRefreshLead
+                }
               }));
             case 37:
               _context40.prev = 37;
@@ -3984,13 +8098,18 @@ var JsSdk = exports.JsSdk = /*#__PURE__*/function (_EventEmitter) {
             case "end":
               return _context40.stop();
           }
-        }, _callee40, null, [[3, 37], [5, 10]]);
+        }, _callee40, null, [[3, 37]]);
       }));
       function init() {
         return _init.apply(this, arguments);
       }
       return init;
     }()
+  }, {
+    key: "createTokenVerifier",
+    value: function createTokenVerifier(options) {
+      return _createTokenVerifier(options);
+    }
   }]);
 }(_events.EventEmitter); // export default VidScale;
 
@@ -7907,18 +12026,27 @@ var _require = require("../utils"),
   sleep = _require.sleep;
 var Logger = require("../../../Logger");
 var logger = new Logger("WebsocketTransport");
+// Reconnection policy, overridable per transport through the constructor options (times in ms).
+// 21 retries add up to about 8.5 minutes, the same window as the old fixed 2 s x 250 retry loop.
+var DEFAULT_RECONNECT_OPTIONS = {
+  maxRetries: 21,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  backoffFactor: 2,
+  pingTimeout: 22000
+};
 var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
-  function WebSocketTransport(_url, shouldReconnect) {
+  function WebSocketTransport(_url, shouldReconnect, options) {
     var _this;
     (0, _classCallCheck2["default"])(this, WebSocketTransport);
     _this = _callSuper(this, WebSocketTransport, [logger]);
     (0, _defineProperty2["default"])(_this, "createAndUpdateSocket", /*#__PURE__*/function () {
       var _ref2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(_ref) {
-        var _ref$connectionType, connectionType, globalThis, url, noOfRetries;
+        var _ref$connectionType, connectionType, _ref$reconnect, reconnect, globalThis, url, attempt, delay;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
-              _ref$connectionType = _ref.connectionType, connectionType = _ref$connectionType === void 0 ? null : _ref$connectionType;
+              _ref$connectionType = _ref.connectionType, connectionType = _ref$connectionType === void 0 ? null : _ref$connectionType, _ref$reconnect = _ref.reconnect, reconnect = _ref$reconnect === void 0 ? false : _ref$reconnect;
               logger.info("Room close status:%s", _this._closed);
               globalThis = _this;
               if (!_this._closed) {
@@ -7935,14 +12063,26 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
               logger.warn("url not available!");
               return _context.abrupt("return");
             case 9:
-              if (connectionType === null) {
-                url = "".concat(_this._url, "&connectionType=", "landing");
-              } else {
-                url = "".concat(_this._url, "&connectionType=").concat(connectionType);
+              if (!(reconnect && _this._options.beforeReconnect)) {
+                _context.next = 13;
+                break;
+              }
+              _context.next = 12;
+              return Promise.resolve().then(_this._options.beforeReconnect)["catch"](function (error) {
+                logger.error("beforeReconnect() failed:%o", error);
+              });
+            case 12:
+              if (!_this._closed) {
+                _context.next = 13;
+                break;
               }
+              logger.info("Websocket closed while preparing to reconnect!");
+              return _context.abrupt("return");
+            case 13:
+              url = _this._socketUrl(connectionType);
               logger.debug("the url is:%s", url);
               _this._ws = new WebSocket(url); // for testing only
-              noOfRetries = 0;
+              attempt = 0;
               logger.debug("websocketHelper createAndUpdateSocket created a new websocket");
               logger.debug("websocketHelper createAndUpdateSocket:%s", _this._ws.readyState);
             case 15:
@@ -7954,25 +12094,42 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
                 _context.next = 22;
                 break;
               }
-              logger.debug("websocketHelper createAndUpdateSocket");
-              // ws.close();
+              attempt++;
+              if (!(attempt > _this._options.maxRetries)) {
+                _context.next = 18;
+                break;
+              }
+              logger.error("No of retries limit to connect with server exhausted!");
+              _this._closed = true;
+              _this.safeEmit("reconnectFailed", {
+                attempts: attempt - 1
+              });
+              return _context.abrupt("return");
+            case 18:
+              delay = _this._retryDelay(attempt);
+              logger.debug("websocketHelper createAndUpdateSocket retry %s in %sms", attempt, delay);
+              _this.safeEmit("reconnecting", {
+                attempt: attempt,
+                delay: delay
+              });
               _context.next = 20;
-              return sleep(2000);
+              return sleep(delay);
             case 20:
+              if (!_this._closed) {
+                _context.next = 21;
+                break;
+              }
+              logger.info("Websocket closed while waiting to reconnect!");
+              return _context.abrupt("return");
+            case 21:
+              // beforeReconnect() may have swapped the url (a refreshed session token) meanwhile.
+              url = _this._socketUrl(connectionType);
               _this._ws = new WebSocket(url);
               logger.debug("websocketHelper createAndUpdateSocket newly created websocket state:%s", _this._ws.readyState);
             case 22:
               _context.next = 24;
               return sleep(500);
             case 24:
-              noOfRetries++;
-              if (!(noOfRetries > 250)) {
-                _context.next = 28;
-                break;
-              }
-              logger.error("No of retries limit to connect with server exhausted!");
-              return _context.abrupt("break", 30);
-            case 28:
               _context.next = 15;
               break;
             case 30:
@@ -8007,10 +12164,10 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
                       var that = _this;
                       _this._lastTimerId = setTimeout(function () {
                         that._isConnected = false;
-                        if (this._roomJoined) {
-                          that.close(4104, "In call connections close as server is unreachable for last 5 seconds!");
+                        if (that._roomJoined) {
+                          that.close(4104, "In call connections close as server is unreachable for last 5 seconds!", that._socketShouldReconnect);
                         } else {
-                          that.close(4103, "Landing page socket close by client as server not reachable for a couple of seconds!");
+                          that.close(4103, "Landing page socket close by client as server not reachable for a couple of seconds!", that._socketShouldReconnect);
                         }
                         // For testing reconnection
                         // setTimeout(() => {
@@ -8023,10 +12180,11 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
                           // console.log('trying to auto reconnect!!')
                           that._closed = false;
                           that.createAndUpdateSocket({
-                            connectionType: "inCall"
+                            connectionType: "inCall",
+                            reconnect: true
                           });
                         }
-                      }, 22000);
+                      }, _this._options.pingTimeout);
                       //  send pong
                       var pongMessage = {
                         id: "pong"
@@ -8083,6 +12241,15 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
               _this._ws.onclose = function (event) {
                 if (globalThis._closed) return;
                 logger.warn('WebSocket "close" event [wasClean:%s, code:%s, reason:"%s"]', event.wasClean, event.code, event.reason);
+                var reconnecting = event.code !== 4500 && event.code !== 4503 && event.code !== 4504;
+                // Keep the url around while a reconnection may still need it.
+                if (!reconnecting) _this._url = null;
+                // Emit 'close' event before a retry can report the socket as connected again.
+                globalThis.safeEmit("close", {
+                  code: event.code,
+                  reason: event.reason,
+                  reconnecting: reconnecting
+                });
 
                 // Don't retry if code is 4500 (closed by the server).
                 if (event.code === 4503 || event.code === 4504) {
@@ -8095,23 +12262,19 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
                   if (_this._roomJoined) {
                     logger.debug("Trying to join after a network reset while in a meeting");
                     globalThis.createAndUpdateSocket({
-                      connectionType: "inCall"
+                      connectionType: "inCall",
+                      reconnect: true
                     });
                   } else {
                     logger.debug("Trying to join after a network reset while on the landing page");
                     globalThis.createAndUpdateSocket({
-                      connectionType: null
+                      connectionType: null,
+                      reconnect: true
                     });
                   }
                   clearTimeout(globalThis._lastTimerId);
                 }
-                _this._url = null;
                 logger.info("The websocket closed status is:%s", globalThis._closed);
-                // Emit 'close' event.
-                globalThis.safeEmit("close", {
-                  code: event.code,
-                  reason: event.reason
-                });
               };
             case 37:
             case "end":
@@ -8127,6 +12290,7 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
     _this._url = _url;
     _this._ws = null;
     _this._socketShouldReconnect = shouldReconnect;
+    _this._options = Object.assign({}, DEFAULT_RECONNECT_OPTIONS, options);
     _this._isConnected = false;
     _this._lastTimerId = null;
     _this._roomJoined = false;
@@ -8142,6 +12306,27 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
     get: function get() {
       return this._isConnected;
     }
+  }, {
+    key: "_retryDelay",
+    value: function _retryDelay(attempt) {
+      var _this$_options = this._options,
+        initialDelay = _this$_options.initialDelay,
+        maxDelay = _this$_options.maxDelay,
+        backoffFactor = _this$_options.backoffFactor;
+      return Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, attempt - 1));
+    }
+  }, {
+    key: "_socketUrl",
+    value: function _socketUrl(connectionType) {
+      return "".concat(this._url, "&connectionType=").concat(connectionType === null ? "landing" : connectionType);
+    }
+  }, {
+    // Used for the next reconnection; the open socket keeps its url.
+    key: "updateUrl",
+    value: function updateUrl(url) {
+      if (!this._url) return;
+      this._url = url;
+    }
   }, {
     key: "close",
     value:
@@ -8149,6 +12334,7 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
     //   this.createAndUpdateSocket();
     // };
     function close(code, message) {
+      var reconnecting = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : false;
       if (this._closed) return;
       logger.info("close()");
 
@@ -8156,7 +12342,8 @@ var WebSocketTransport = /*#__PURE__*/function (_EnhancedEventEmitter) {
       this._closed = true;
       this.safeEmit("close", {
         code: code,
-        reason: message
+        reason: message,
+        reconnecting: Boolean(reconnecting)
       });
       try {
         this._ws.onopen = null;
@@ -8719,23 +12906,34 @@ var loadAllAvailableDevices = exports.loadAllAvailableDevices = /*#__PURE__*/fun
 Object.defineProperty(exports, "__esModule", {
   value: true
 });
-exports._security = exports.USER_TYPE_REGULAR = exports.USER_TYPE_PRESENTER = exports.USER_TYPE_MODERATOR = exports.USER_TYPE_BOT = exports.USER_TYPE_ADMIN = exports.TOTAL_RECORDING_SPACE_AVAILABLE = exports.STREAM_TYPE_SCREEN_VIDEO = exports.STREAM_TYPE_SCREEN_AUDIO = exports.STREAM_TYPE_CAM_VIDEO = exports.STREAM_TYPE_CAM_AUDIO = exports.STAGE = exports.RTMPSTREAMANDRECORD = exports.RTMPSTREAM = exports.ROOM_STATUS_ENUM_OCUPIED = exports.ROOM_STATUS_ENUM_FREE = exports.ROOM_LEAVE_ONLY = exports.ROOM_LEAVE_AND_CLOSE = exports.ROOM_CLOSE_TYPE_CLIENT = exports.ROOMTYPE_P2P = exports.ROOMTYPE_EVENT = exports.ROOMTYPE_CONFERENCING = exports.RECORD = exports.PROCESS = exports.PARTICIPANT = exports.MSG_TYPE_PUBLIC = exports.MSG_TYPE_PRIVATE = exports.MSG_SENDER_TYPE_VIEWER = exports.MSG_SENDER_TYPE_PRESENTER = exports.MSG_SENDER_TYPE_MODERATOR = exports.MSG_SENDER_TYPE_EVERYBODY = exports.MSG_DIRECTION_SEND = exports.MSG_DIRECTION_RECV = exports.MERGEA = exports.MERGE = exports.CLOUD_DO = exports.CLOUD_AWS = exports.BACK_STAGE = exports.AMERGEA = exports.AMERGE = void 0;
-var _environment = "development" || "development";
+exports._security = exports.ENVIRONMENTS = exports.DEFAULT_ENVIRONMENT = exports.USER_TYPE_REGULAR = exports.USER_TYPE_PRESENTER = exports.USER_TYPE_MODERATOR = exports.USER_TYPE_BOT = exports.USER_TYPE_ADMIN = exports.TOTAL_RECORDING_SPACE_AVAILABLE = exports.STREAM_TYPE_SCREEN_VIDEO = exports.STREAM_TYPE_SCREEN_AUDIO = exports.STREAM_TYPE_CAM_VIDEO = exports.STREAM_TYPE_CAM_AUDIO = exports.STAGE = exports.RTMPSTREAMANDRECORD = exports.RTMPSTREAM = exports.ROOM_STATUS_ENUM_OCUPIED = exports.ROOM_STATUS_ENUM_FREE = exports.ROOM_LEAVE_ONLY = exports.ROOM_LEAVE_AND_CLOSE = exports.ROOM_CLOSE_TYPE_CLIENT = exports.ROOMTYPE_P2P = exports.ROOMTYPE_EVENT = exports.ROOMTYPE_CONFERENCING = exports.RECORD = exports.PROCESS = exports.PARTICIPANT = exports.MSG_TYPE_PUBLIC = exports.MSG_TYPE_PRIVATE = exports.MSG_SENDER_TYPE_VIEWER = exports.MSG_SENDER_TYPE_PRESENTER = exports.MSG_SENDER_TYPE_MODERATOR = exports.MSG_SENDER_TYPE_EVERYBODY = exports.MSG_DIRECTION_SEND = exports.MSG_DIRECTION_RECV = exports.MERGEA = exports.MERGE = exports.CLOUD_DO = exports.CLOUD_AWS = exports.BACK_STAGE = exports.AMERGEA = exports.AMERGE = void 0;
+// Service endpoints of each deployment, selected with init({environment}).
+// "development" expects local stand-ins of the services.
+var ENVIRONMENTS = exports.ENVIRONMENTS = {
+  production: {
+    allocation: "https://autoscalerv1.videoedge.io/api/vidScale/allocateResources",
+    autoscaler: "autoscaler.samvyo.com"
+  },
+  staging: {
+    allocation: "https://autoscalerv1-test.videoedge.io/api/vidScale/allocateResources",
+    autoscaler: "autoscaler.samvyo.com"
+  },
+  development: {
+    allocation: "https://localhost:6001/api/vidScale/allocateResources",
+    autoscaler: "localhost:4300"
+  }
+};
+var DEFAULT_ENVIRONMENT = exports.DEFAULT_ENVIRONMENT = "production";
+var _environment = DEFAULT_ENVIRONMENT;
+// Production endpoints for callers that are not handed one; JsSdk.init() passes its resolved endpoints explicitly.
 var _security = exports._security = {
   roomType: {
     P2P: "p2p",
     CONFERENCING: "conferencing"
   },
   baseURL: "",
-  vidScaleURL: _environment === "production" ? "autoscalerv1.videoedge.io/api/vidScale/allocateResources" : _environment === "test" ? "autoscalerv1-test.videoedge.io/api/vidScale/allocateResources" :
-  // : "https://10.50.93.54:3700/api/vidScale/allocateResources",
-  "https://10.50.93.208:6001/api/vidScale/allocateResources",
-  autoscalerURL: _environment === "production" ? "autoscaler.samvyo.com" :
-  // : "https://192.168.0.103:6001/api/vidScale/allocateResources",
-  "localhost:4300",
-  dashboardURL: _environment === "production" ? "https://api.samvyo.com/api/callStats/verifySessionToken" : _environment === "test" ? "https://test-api-v2.samvyo.com/api/callStats/verifySessionToken" :
-  // : "https://10.50.93.54:3400/api/org/verify-session-token",
-  "https://10.50.93.208:3400/api/org/verify-session-token"
+  vidScaleURL: ENVIRONMENTS[_environment].allocation,
+  autoscalerURL: ENVIRONMENTS[_environment].autoscaler
 };
 var MSG_SENDER_TYPE_PRESENTER = exports.MSG_SENDER_TYPE_PRESENTER = "participant";
 var MSG_SENDER_TYPE_VIEWER = exports.MSG_SENDER_TYPE_VIEWER = "viewer";
@@ -8949,13 +13147,14 @@ function getVidScaleUrl(_x) {
 }
 function _getVidScaleUrl() {
   _getVidScaleUrl = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(_ref) {
-    var sessionToken, roomId, peerId, consumerReplicas, _ref$producer, producer, _ref$consumer, consumer, participantData, response, errorDetails;
+    var sessionToken, roomId, peerId, consumerReplicas, _ref$producer, producer, _ref$consumer, consumer, participantData, _ref$allocationUrl, allocationUrl, response, errorDetails;
     return _regenerator["default"].wrap(function _callee2$(_context2) {
       while (1) switch (_context2.prev = _context2.next) {
         case 0:
-          sessionToken = _ref.sessionToken, roomId = _ref.roomId, peerId = _ref.peerId, consumerReplicas = _ref.consumerReplicas, _ref$producer = _ref.producer, producer = _ref$producer === void 0 ? true : _ref$producer, _ref$consumer = _ref.consumer, consumer = _ref$consumer === void 0 ? true : _ref$consumer, participantData = _ref.participantData;
+          sessionToken = _ref.sessionToken, roomId = _ref.roomId, peerId = _ref.peerId, consumerReplicas = _ref.consumerReplicas, _ref$producer = _ref.producer, producer = _ref$producer === void 0 ? true : _ref$producer, _ref$consumer = _ref.consumer, consumer = _ref$consumer === void 0 ? true : _ref$consumer, participantData = _ref.participantData, _ref$allocationUrl = _ref.allocationUrl, allocationUrl = _ref$allocationUrl === void 0 ? _constants._security.vidScaleURL : _ref$allocationUrl;
           _context2.next = 3;
           return fetchAllocation({
+            allocationUrl: allocationUrl,
             sessionToken: sessionToken,
             roomId: roomId,
             peerId: peerId,
@@ -8992,14 +13191,14 @@ function _getVidScaleUrl() {
 }
 var fetchAllocation = /*#__PURE__*/function () {
   var _ref2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(data) {
-    var roomId, peerId, producer, consumer, sessionToken, participantData, response;
+    var allocationUrl, roomId, peerId, producer, consumer, sessionToken, participantData, response;
     return _regenerator["default"].wrap(function _callee$(_context) {
       while (1) switch (_context.prev = _context.next) {
         case 0:
           // logger.debug("before calling allocate resource API with data:%O",data);
-          roomId = data.roomId, peerId = data.peerId, producer = data.producer, consumer = data.consumer, sessionToken = data.sessionToken, participantData = data.participantData;
+          allocationUrl = data.allocationUrl, roomId = data.roomId, peerId = data.peerId, producer = data.producer, consumer = data.consumer, sessionToken = data.sessionToken, participantData = data.participantData;
           _context.next = 3;
-          return _axios["default"].post("".concat(_constants["default"]._security.vidScaleURL), {
+          return _axios["default"].post(allocationUrl, {
             roomId: roomId,
             peerId: peerId,
             producer: producer,
@@ -9035,25 +13234,112 @@ Object.defineProperty(exports, "__esModule", {
 exports.SocketQueue = void 0;
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+function _createForOfIteratorHelper(r, e) { var t = "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"]; if (!t) { if (Array.isArray(r) || (t = _unsupportedIterableToArray(r)) || e && r && "number" == typeof r.length) { t && (r = t); var _n = 0, F = function F() {}; return { s: F, n: function n() { return _n >= r.length ? { done: !0 } : { done: !1, value: r[_n++] }; }, e: function e(r) { throw r; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var o, a = !0, u = !1; return { s: function s() { t = t.call(r); }, n: function n() { var r = t.next(); return a = r.done, r; }, e: function e(r) { u = !0, o = r; }, f: function f() { try { a || null == t["return"] || t["return"](); } finally { if (u) throw o; } } }; }
+function _unsupportedIterableToArray(r, a) { if (r) { if ("string" == typeof r) return _arrayLikeToArray(r, a); var t = {}.toString.call(r).slice(8, -1); return "Object" === t && r.constructor && (t = r.constructor.name), "Map" === t || "Set" === t ? Array.from(r) : "Arguments" === t || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t) ? _arrayLikeToArray(r, a) : void 0; } }
+function _arrayLikeToArray(r, a) { (null == a || a > r.length) && (a = r.length); for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e]; return n; }
+/**
+ * Pending socket requests waiting for their response, indexed by request id so
+ * that several requests for the same action can be in flight at the same time.
+ */
 var SocketQueue = exports.SocketQueue = /*#__PURE__*/function () {
   function SocketQueue() {
     (0, _classCallCheck2["default"])(this, SocketQueue);
+    // Map of pending requests indexed by request id.
+    // @type {Map<String, Object>}
     this.queue = new Map();
   }
   return (0, _createClass2["default"])(SocketQueue, [{
+    key: "size",
+    get: function get() {
+      return this.queue.size;
+    }
+
+    /**
+     * Register a request and get a promise settled by its response.
+     *
+     * @param {String} requestId
+     * @param {String} action - id of the expected response message.
+     * @param {Number} timeout - ms to wait before rejecting the request.
+     * @param {Object} [request] - the request message, for find() to match on.
+     *
+     * @returns {Promise<Object>} The response message.
+     */
+  }, {
     key: "push",
-    value: function push(action, callback) {
-      this.queue.set(action, callback);
+    value: function push(requestId, action, timeout) {
+      var _this = this;
+      var request = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : null;
+      return new Promise(function (resolve, reject) {
+        var pending = {
+          action: action,
+          request: request,
+          resolve: resolve,
+          reject: reject,
+          timer: setTimeout(function () {
+            if (!_this.queue["delete"](requestId)) return;
+            reject(new Error("request timeout [action:".concat(action, "]")));
+          }, timeout)
+        };
+        _this.queue.set(requestId, pending);
+      });
+    }
+
+    /**
+     * Id of the oldest pending request for the given action. Used for responses
+     * that don't carry the request id back.
+     *
+     * @param {String} action
+     * @param {Function} [match] - (request message) => Boolean, to pick among requests of the action.
+     *
+     * @returns {String|undefined}
+     */
+  }, {
+    key: "find",
+    value: function find(action) {
+      var match = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+      var _iterator = _createForOfIteratorHelper(this.queue),
+        _step;
+      try {
+        for (_iterator.s(); !(_step = _iterator.n()).done;) {
+          var _step$value = _step.value,
+            requestId = _step$value[0],
+            pending = _step$value[1];
+          if (pending.action === action && (!match || pending.request && match(pending.request))) return requestId;
+        }
+      } catch (err) {
+        _iterator.e(err);
+      } finally {
+        _iterator.f();
+      }
+      return undefined;
+    }
+  }, {
+    key: "resolve",
+    value: function resolve(requestId, data) {
+      var pending = this.queue.get(requestId);
+      if (!pending) return false;
+      this.queue["delete"](requestId);
+      clearTimeout(pending.timer);
+      pending.resolve(data);
+      return true;
     }
   }, {
-    key: "get",
-    value: function get(action) {
-      return this.queue.get(action);
+    key: "reject",
+    value: function reject(requestId, error) {
+      var pending = this.queue.get(requestId);
+      if (!pending) return false;
+      this.queue["delete"](requestId);
+      clearTimeout(pending.timer);
+      pending.reject(error);
+      return true;
     }
   }, {
-    key: "remove",
-    value: function remove(action) {
-      this.queue["delete"](action);
+    key: "rejectAll",
+    value: function rejectAll(error) {
+      var _this2 = this;
+      Array.from(this.queue.keys()).forEach(function (requestId) {
+        _this2.reject(requestId, error);
+      });
     }
   }]);
 }();
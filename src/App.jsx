@@ -23,10 +23,38 @@ import {
   Link,
   FileText,
   Calendar,
-  Star
+  Star,
+  Hand,
+  Lock,
+  Unlock,
+  Radio,
+  LayoutGrid
 } from 'lucide-react'
 import './App.css'
 
+// Optional overrides to point the SDK at staging or a local stand-in of the services.
+const SDK_ENVIRONMENT = import.meta.env.VITE_SAMVYO_ENVIRONMENT
+const SDK_ENDPOINTS = Object.fromEntries(
+  Object.entries({
+    signalling: import.meta.env.VITE_SAMVYO_SIGNALLING_URL,
+    allocation: import.meta.env.VITE_SAMVYO_ALLOCATION_URL
+  }).filter(([, url]) => url)
+)
+
+// Set to encrypt all media end to end; every participant needs the same passphrase
+const E2EE_PASSPHRASE = import.meta.env.VITE_SAMVYO_E2EE_PASSPHRASE
+
+// Payload of the 'widget' topic; malformed widgets never reach the popup
+const WIDGET_SCHEMA = {
+  type: 'object',
+  required: ['widgetType', 'title'],
+  properties: {
+    widgetType: { type: 'string', enum: ['feedback', 'link', 'survey', 'calendar'] },
+    widgetData: { type: 'object' },
+    title: { type: 'string', minLength: 1, maxLength: 200 }
+  }
+}
+
 function App() {
   // Core state
   const [roomId, setRoomId] = useState('')
@@ -36,6 +64,8 @@ function App() {
   const [isJoined, setIsJoined] = useState(false)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [connectionState, setConnectionState] = useState('connecting')
+  const [reconnectAttempt, setReconnectAttempt] = useState(0)
   
   // SDK instance
   const [vidScaleClient, setVidScaleClient] = useState(null)
@@ -56,7 +86,25 @@ function App() {
   const [isMuted, setIsMuted] = useState(false)
   const [isCameraOn, setIsCameraOn] = useState(true)
   const [isScreenSharing, setIsScreenSharing] = useState(false)
-  const [isRecording, setIsRecording] = useState(false)
+  const [recordingState, setRecordingState] = useState('idle')
+
+  // Live streaming state
+  const [isLive, setIsLive] = useState(false)
+  const [showLiveStream, setShowLiveStream] = useState(false)
+  const [rtmpUrls, setRtmpUrls] = useState('')
+  const [liveStreamLayout, setLiveStreamLayout] = useState('grid')
+  const [liveStreamAlsoRecord, setLiveStreamAlsoRecord] = useState(false)
+
+  // Breakout rooms state
+  const [showBreakout, setShowBreakout] = useState(false)
+  const [breakoutRooms, setBreakoutRooms] = useState([])
+  const [breakoutOpen, setBreakoutOpen] = useState(false)
+  const [breakoutEndsAt, setBreakoutEndsAt] = useState(null)
+  const [currentBreakoutRoom, setCurrentBreakoutRoom] = useState(null)
+  const [breakoutCount, setBreakoutCount] = useState(2)
+  const [breakoutDuration, setBreakoutDuration] = useState(10)
+  const [breakoutMessage, setBreakoutMessage] = useState('')
+  const [breakoutNotice, setBreakoutNotice] = useState('')
   
   // Chat state
   const [showChat, setShowChat] = useState(false)
@@ -67,11 +115,37 @@ function App() {
   // Widget state
   const [showWidgets, setShowWidgets] = useState(false)
   const [selectedWidgetReceiver, setSelectedWidgetReceiver] = useState('everyone')
+  const [selectedWidgetPeers, setSelectedWidgetPeers] = useState([])
   const [widgetPopups, setWidgetPopups] = useState([])
   
   // Moderator features
-  const [isModerator, setIsModerator] = useState(true) // Default as moderator
-  const [authRequests, setAuthRequests] = useState([])
+  const [isModerator, setIsModerator] = useState(false) // Follows the local peer's live role
+  const [waitingPeers, setWaitingPeers] = useState([])
+  const [unmuteRequest, setUnmuteRequest] = useState(null)
+  const [removeTarget, setRemoveTarget] = useState(null)
+  const [removeReason, setRemoveReason] = useState('')
+  const [banFromRejoin, setBanFromRejoin] = useState(false)
+  const [roomLocked, setRoomLocked] = useState(false)
+  const [roleRequests, setRoleRequests] = useState([])
+  const [roleRequestPending, setRoleRequestPending] = useState(false)
+
+  // Hand raise state (peer ids in the order the server queued them)
+  const [showHandRaise, setShowHandRaise] = useState(false)
+  const [raisedHands, setRaisedHands] = useState([])
+
+  // Spotlight state
+  const [spotlightedPeer, setSpotlightedPeer] = useState(null)
+
+  // E2EE decryption status per remote peer (empty unless E2EE is on)
+  const [e2eeStatus, setE2eeStatus] = useState({})
+
+  // Room settings pushed by the server, updated live by moderators
+  const [roomSettings, setRoomSettings] = useState({})
+
+  // Screen share limit state
+  const [shareDenied, setShareDenied] = useState(null)
+  const [shareTakeoverRequests, setShareTakeoverRequests] = useState([])
+  const [shareTakeoverApprovedBy, setShareTakeoverApprovedBy] = useState(null)
   
   // Refs for video elements
   const peerListRef = useRef(null)
@@ -82,10 +156,13 @@ function App() {
 
   // Add pagination state
   const [currentPage, setCurrentPage] = useState(1);
-  const PARTICIPANTS_PER_PAGE = 10;
+  const PARTICIPANTS_PER_PAGE = roomSettings.maxVideoTiles || 10;
 
-  // Calculate paginated peers
-  const peerEntries = Array.from(peers.entries());
+  // Calculate paginated peers, the spotlighted peer always goes first
+  const isSpotlightActive = Boolean(spotlightedPeer && peers.has(spotlightedPeer));
+  const peerEntries = Array.from(peers.entries()).sort(
+    ([a], [b]) => (b === spotlightedPeer) - (a === spotlightedPeer)
+  );
   const totalPages = Math.ceil(peerEntries.length / PARTICIPANTS_PER_PAGE) || 1;
   const paginatedPeers = peerEntries.slice(
     (currentPage - 1) * PARTICIPANTS_PER_PAGE,
@@ -95,6 +172,8 @@ function App() {
   // Responsive grid columns/rows based on number of participants on current page
   const getGridTemplate = () => {
     const count = paginatedPeers.length;
+    // Spotlight: the main stage takes three rows, everyone else shares the bottom row
+    if (isSpotlightActive && currentPage === 1 && count > 1) return { cols: count - 1, rows: 4, spotlight: true };
     if (count <= 1) return { cols: 1, rows: 1 };
     if (count === 2) return { cols: 2, rows: 1 };
     if (count <= 4) return { cols: 2, rows: 2 };
@@ -102,7 +181,7 @@ function App() {
     if (count <= 9) return { cols: 3, rows: 3 };
     return { cols: 5, rows: 2 };
   };
-  const { cols, rows } = getGridTemplate();
+  const { cols, rows, spotlight } = getGridTemplate();
 
   // Configuration parameters (matching the reference code)
   const inputParams = {
@@ -179,26 +258,30 @@ function App() {
     }
   }
 
+  const requestSessionToken = async (roomId) => {
+    const response = await fetch('http://localhost:3000/api/create-session-token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ roomId })
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+
+    const data = await response.json()
+    return data.sessionToken || data.token
+  }
+
   // Fetch session token
   const fetchSessionToken = async (roomId) => {
     try {
       setLoading(true)
       setError('')
       
-      const response = await fetch('http://localhost:3000/api/create-session-token', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ roomId })
-      })
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
-
-      const data = await response.json()
-      return data.sessionToken || data.token
+      return await requestSessionToken(roomId)
     } catch (err) {
       setError(`Failed to fetch session token: ${err.message}`)
       throw err
@@ -226,7 +309,14 @@ function App() {
       const client = await samvyo.JsSdk.init({
         sessionToken: token,
         roomId: roomId,
-        peerName: peerName || 'Anonymous'
+        peerName: peerName || 'Anonymous',
+        ...(SDK_ENVIRONMENT && { environment: SDK_ENVIRONMENT }),
+        endpoints: SDK_ENDPOINTS,
+        // Called before the token expires and before reconnecting with a stale one
+        getToken: () => requestSessionToken(roomId),
+        // Keeps a misbehaving widget loop from flooding the room
+        rateLimits: { widget: { ratePerSecond: 1, burst: 3 } },
+        ...(E2EE_PASSPHRASE && { e2ee: { passphrase: E2EE_PASSPHRASE } })
       })
 
       setVidScaleClient(client)
@@ -253,7 +343,39 @@ function App() {
 
     client.on('initError', (error) => {
       console.error('Error initializing SDK:', error)
-      setError(`Initialization error: ${error.message || error}`)
+      setError(`Initialization error: ${error.text || error}`)
+      setIsInitialized(false)
+    })
+
+    client.on('connectionStateChanged', ({ state }) => {
+      console.log(`Connection state: ${state}`)
+      setConnectionState(state)
+    })
+
+    client.on('reconnecting', ({ attempt }) => {
+      setReconnectAttempt(attempt)
+    })
+
+    client.on('reconnected', () => {
+      setReconnectAttempt(0)
+    })
+
+    client.on('tokenExpiring', ({ expiresIn }) => {
+      console.log(`Session token expires in ${Math.round(expiresIn / 1000)}s, refreshing`)
+    })
+
+    client.on('sessionTokenUpdated', () => {
+      setSessionToken(client.data.sessionToken)
+    })
+
+    client.on('tokenRefreshFailed', (error) => {
+      console.error('Session token refresh failed:', error)
+      setError(error.text)
+    })
+
+    client.on('messageDropped', ({ id, reason }) => {
+      console.warn(`Message ${id} dropped: ${reason}`)
+      if (id === 'customMessage') setError('A message could not be delivered while the connection was down')
     })
 
     client.on('joinSuccess', () => {
@@ -265,18 +387,19 @@ function App() {
 
     client.on('joinError', (error) => {
       console.error('Error joining room:', error)
-      setError(`Join error: ${error.message || error}`)
+      setError(`Join error: ${error.text || error}`)
       setIsJoined(false)
       setLoading(false)
     })
 
     // Peer events
-    client.on('newPeer', ({ peerId, peerName, type }) => {
+    client.on('newPeer', ({ peerId, peerName, type, peerRole }) => {
       console.log(`New peer joined: ${peerName} (ID: ${peerId})`)
-      addPeer(peerId, peerName, type)
+      addPeer(peerId, peerName, type, peerRole)
       
       // If it's a local peer, transition to room view
       if (type === 'local') {
+        setIsModerator(peerRole === 'moderator')
         setIsJoined(true)
         setLoading(false)
       }
@@ -285,6 +408,21 @@ function App() {
     client.on('peerLeft', ({ peerId }) => {
       console.log(`Peer left: ${peerId}`)
       removePeer(peerId)
+      setE2eeStatus(client.e2eeStatus)
+    })
+
+    // E2EE events
+    client.on('e2eeStatus', ({ peerId, status }) => {
+      console.log(`E2EE status for peer ${peerId}: ${status}`)
+      setE2eeStatus(client.e2eeStatus)
+    })
+
+    client.on('e2eeKeyRotated', ({ keyIndex, peerId }) => {
+      console.log(`E2EE key rotated to index ${keyIndex}${peerId ? ` by ${peerId}` : ''}`)
+    })
+
+    client.on('e2eeError', ({ text }) => {
+      setError(`Encryption error: ${text}`)
     })
 
     // Audio events
@@ -308,6 +446,24 @@ function App() {
       updatePeerMuteStatus(peerId, false)
     })
 
+    // Moderator media control events
+    client.on('mutedByModerator', ({ moderatorPeerId }) => {
+      console.log(`Muted by moderator: ${moderatorPeerId}`)
+      setIsMuted(true)
+      setError('You have been muted by the moderator')
+    })
+
+    client.on('unmuteRequested', ({ moderatorPeerId }) => {
+      console.log(`Unmute requested by moderator: ${moderatorPeerId}`)
+      setUnmuteRequest({ moderatorPeerId })
+    })
+
+    client.on('cameraStoppedByModerator', ({ moderatorPeerId }) => {
+      console.log(`Camera stopped by moderator: ${moderatorPeerId}`)
+      setIsCameraOn(false)
+      setError('Your camera has been turned off by the moderator')
+    })
+
     // Video events
     client.on('videoStart', ({ peerId, videoTrack, type }) => {
       console.log(`Video started for peer: ${peerId}`)
@@ -339,14 +495,67 @@ function App() {
     })
 
     // Moderator events
-    client.on('moderatorAuthentication', ({ moderatorName, requesterName, requesterPeerId, text }) => {
-      console.log('Moderator authentication required')
-      addAuthRequest({ requesterName, requesterPeerId, text, type: 'moderator' })
+    client.on('moderatorAuthentication', ({ requesterName, requesterPeerId }) => {
+      console.log(`Moderator authentication required for: ${requesterName} (ID: ${requesterPeerId})`)
     })
 
-    client.on('authenticationRequested', ({ moderatorName, requesterName, requesterPeerId, text }) => {
+    client.on('authenticationRequested', ({ text }) => {
       console.log('Authentication required to join room')
-      addAuthRequest({ requesterName, requesterPeerId, text, type: 'request' })
+      setError(text || 'Waiting for a moderator to let you in')
+    })
+
+    client.on('waitingPeersChanged', ({ waitingPeers }) => {
+      console.log(`Waiting room updated: ${waitingPeers.length} waiting`)
+      setWaitingPeers(waitingPeers)
+    })
+
+    client.on('roomLockChanged', ({ locked }) => {
+      console.log(`Room ${locked ? 'locked' : 'unlocked'}`)
+      setRoomLocked(locked)
+    })
+
+    // Role events
+    client.on('moderatorRoleRequested', ({ peerId, peerName }) => {
+      console.log(`Moderator role requested by peer: ${peerId}`)
+      setRoleRequests(prev => prev.some(req => req.peerId === peerId) ? prev : [...prev, { peerId, peerName }])
+    })
+
+    client.on('participantUpgraded', ({ peerId, peerRole, type }) => {
+      console.log(`Peer ${peerId} upgraded to ${peerRole}`)
+      updatePeerRole(peerId, peerRole)
+      setRoleRequests(prev => prev.filter(req => req.peerId !== peerId))
+      if (type === 'local') {
+        setIsModerator(true)
+        setRoleRequestPending(false)
+      }
+    })
+
+    client.on('participantDowngraded', ({ peerId, peerRole, type }) => {
+      console.log(`Peer ${peerId} downgraded to ${peerRole}`)
+      updatePeerRole(peerId, peerRole)
+      if (type === 'local') {
+        setIsModerator(false)
+        setRoleRequests([])
+      }
+    })
+
+    client.on('moderatorRoleDenied', ({ peerId, type }) => {
+      console.log(`Moderator role request of peer ${peerId} denied`)
+      setRoleRequests(prev => prev.filter(req => req.peerId !== peerId))
+      if (type === 'local') {
+        setRoleRequestPending(false)
+        setError('Your moderator role request was declined')
+      }
+    })
+
+    client.on('moderatorRoleRequestExpired', () => {
+      setRoleRequestPending(false)
+    })
+
+    client.on('upgradeLimitReached', ({ peerId, text }) => {
+      console.warn(`Upgrade limit reached for peer: ${peerId}`)
+      setRoleRequestPending(false)
+      setError(text)
     })
 
     // Error and notification events
@@ -360,48 +569,166 @@ function App() {
       setError(`${eventType}: ${eventText}`)
     })
 
+    client.on('removedFromRoom', ({ reason, banned }) => {
+      console.log('Removed from room by moderator')
+      resetRoomState()
+      setError(`You were removed from the room${reason ? `: ${reason}` : ''}${banned ? ' and cannot rejoin' : ''}`)
+    })
+
     client.on('roomClosed', ({ roomId }) => {
       console.log('Room closed by moderator')
-      removeAllPeers()
-      setIsJoined(false)
-      setIsInitialized(false)
-      setVidScaleClient(null)
+      resetRoomState()
       setError('Room closed by moderator!')
     })
 
     
+    // Recording events
+    client.on('recordingStateChanged', ({ state, previousState }) => {
+      console.log(`Recording state changed: ${previousState} -> ${state}`)
+      setRecordingState(state)
+    })
+
+    client.on('recordingFailed', ({ code, text }) => {
+      console.error('Recording failed:', code, text)
+      setError(text)
+    })
+
+    // Live stream events
+    client.on('liveStreamStarted', ({ alsoRecord }) => {
+      console.log(`Live stream started${alsoRecord ? ' with recording' : ''}`)
+      setIsLive(true)
+    })
+
+    client.on('liveStreamEnded', () => {
+      console.log('Live stream ended')
+      setIsLive(false)
+    })
+
+    client.on('liveStreamError', ({ code, text }) => {
+      console.error('Live stream error:', code, text)
+      setIsLive(false)
+      setError(text)
+    })
+
+    // Breakout room events
+    client.on('breakoutRoomsUpdated', ({ rooms }) => {
+      setBreakoutRooms(rooms)
+    })
+
+    client.on('breakoutRoomsOpened', ({ rooms, endsAt }) => {
+      console.log('Breakout rooms opened')
+      setBreakoutRooms(rooms)
+      setBreakoutOpen(true)
+      setBreakoutEndsAt(endsAt)
+    })
+
+    client.on('breakoutTimerUpdated', ({ endsAt }) => {
+      setBreakoutEndsAt(endsAt)
+    })
+
+    client.on('breakoutBroadcast', ({ text, type }) => {
+      if (type === 'remote') setBreakoutNotice(text)
+    })
+
+    client.on('breakoutRoomsClosed', () => {
+      console.log('Breakout rooms closed')
+      setBreakoutOpen(false)
+      setBreakoutEndsAt(null)
+    })
+
+    client.on('breakoutRoomJoined', ({ breakOutRoom, name }) => {
+      console.log(`Joined ${name || 'main room'}`)
+      setCurrentBreakoutRoom(breakOutRoom)
+      setRaisedHands([])
+      setSpotlightedPeer(null)
+    })
+
+    // Room settings events
+    client.on('roomSettingsChanged', ({ roomSettings, changed, peerId }) => {
+      console.log('Room settings changed:', changed)
+      setRoomSettings(roomSettings)
+      setCurrentPage(1)
+      // Settings sent at join decide whether the camera starts
+      if (!peerId && roomSettings.cameraOffOnEntry && client.data.inputParams.peerType !== 'moderator') {
+        setIsCameraOn(false)
+      }
+    })
+
+    // Screen share limit events
+    client.on('screenShareDenied', ({ sharers, takeoverRequested }) => {
+      console.log('Screen share denied, current sharers:', sharers)
+      setIsScreenSharing(false)
+      setShareDenied({ sharers, takeoverRequested })
+    })
+
+    client.on('screenShareTakeoverRequested', ({ peerId, peerName }) => {
+      console.log(`Screen share takeover requested by: ${peerName}`)
+      setShareTakeoverRequests(prev => prev.some(request => request.peerId === peerId) ? prev : [...prev, { peerId, peerName }])
+    })
+
+    client.on('screenShareTakeoverApproved', ({ peerId }) => {
+      setShareDenied(null)
+      setShareTakeoverApprovedBy(peerId)
+    })
+
+    client.on('screenShareTakeoverDenied', () => {
+      setShareDenied(null)
+      setError('Your request to present was declined')
+    })
+
+    client.on('screenShareStoppedByModerator', () => {
+      setIsScreenSharing(false)
+      setError('A moderator stopped your screen share')
+    })
+
+    // Spotlight events
+    client.on('spotlightChanged', ({ peerId }) => {
+      console.log(peerId ? `Spotlight on peer: ${peerId}` : 'Spotlight cleared')
+      setSpotlightedPeer(peerId)
+      setCurrentPage(1)
+    })
+
+    // Hand raise events
+    client.on('handRaised', ({ peerId, position, queue }) => {
+      console.log(`Hand raised by peer: ${peerId} at position ${position}`)
+      setRaisedHands(queue)
+    })
+
+    client.on('handLowered', ({ peerId, queue }) => {
+      console.log(`Hand lowered for peer: ${peerId}`)
+      setRaisedHands(queue)
+    })
+
     client.on('customMessageError', (error) => {
       console.error('Custom message error:', error)
+      if (error.reason === 'rateLimited') {
+        setError(`Slow down: ${error.topic} messages are limited, try again in ${Math.ceil(error.retryAfter / 1000)}s`)
+        return
+      }
       setError(`Message error: ${error.error}`)
     })
 
-    // Widget events
     client.on('customMessage', (message) => {
       console.log('Custom message received:', message)
-      const isLocalMessage = message.from === client.data.inputParams.peerId
-      
-      // Check if it's a widget message
-      if (message.type === 'widget' && !isLocalMessage) {
-        addWidgetPopup({
-          id: Date.now(),
-          from: message.from,
-          widgetType: message.customData?.widgetType,
-          widgetData: message.customData?.widgetData,
-          title: message.customData?.title,
-          timestamp: new Date().toLocaleTimeString()
-        })
-      } else if (message.type === 'chat' && !isLocalMessage) {
-        addChatMessage({
-          id: Date.now(),
-          from: message.from,
-          data: message.data,
-          type: message.type,
-          messageType: message.messageType,
-          customData: message.customData,
-          timestamp: new Date().toLocaleTimeString()
-        })
-      }
     })
+
+    // Widget events
+    client.defineTopic('widget', { schema: WIDGET_SCHEMA })
+    client.subscribe('widget', ({ widgetType, widgetData, title }, { from }) => {
+      if (from === client.data.inputParams.peerId) return
+      addWidgetPopup({
+        id: Date.now(),
+        from,
+        widgetType,
+        widgetData,
+        title,
+        timestamp: new Date().toLocaleTimeString()
+      })
+    })
+
+    // Chat: own messages come through here too, then their delivery status
+    client.chat.onMessage(upsertChatMessage)
+    client.chat.on('status', upsertChatMessage)
   }
 
   // Join room
@@ -424,9 +751,14 @@ function App() {
       }
 
       console.log('Joining room with params:', params)
-      await vidScaleClient.joinRoom(params)
+      const result = await vidScaleClient.joinRoom(params)
+      if (result && result.error) {
+        setError(result.text)
+        setLoading(false)
+      }
     } catch (err) {
-      setError(`Failed to join room: ${err.message}`)
+      // Join failures reported by the SDK already surfaced through joinError.
+      if (!err.code) setError(`Failed to join room: ${err.message}`)
       setLoading(false)
     }
   }
@@ -437,16 +769,7 @@ function App() {
       try {
         await vidScaleClient.leaveRoom()
         console.log('Left the room')
-        setIsJoined(false)
-        setIsInitialized(false)
-        setVidScaleClient(null)
-        removeAllPeers()
-        setScreenShares(new Map())
-        setIsRecording(false)
-        // Clear all refs
-        videoRefs.current.clear()
-        audioRefs.current.clear()
-        screenShareRefs.current.clear()
+        resetRoomState()
       } catch (err) {
         setError(`Failed to leave room: ${err.message}`)
       }
@@ -459,16 +782,7 @@ function App() {
       try {
         await vidScaleClient.closeRoom()
         console.log('Closed the room')
-        setIsJoined(false)
-        setIsInitialized(false)
-        setVidScaleClient(null)
-        removeAllPeers()
-        setScreenShares(new Map())
-        setIsRecording(false)
-        // Clear all refs
-        videoRefs.current.clear()
-        audioRefs.current.clear()
-        screenShareRefs.current.clear()
+        resetRoomState()
       } catch (err) {
         setError(`Failed to close room: ${err.message}`)
       }
@@ -510,15 +824,19 @@ function App() {
     }
   }
 
-  const toggleScreenShare = async () => {
+  const toggleScreenShare = async (takeover = false) => {
     if (!vidScaleClient) return
+
+    setShareDenied(null)
+    setShareTakeoverApprovedBy(null)
     
     try {
       if (isScreenSharing) {
         await vidScaleClient.disableShare()
         console.log('Screen share stopped')
       } else {
-        await vidScaleClient.enableShare()
+        const result = await vidScaleClient.enableShare({ takeover })
+        if (result && !result.success) return
         console.log('Screen share started')
       }
       setIsScreenSharing(!isScreenSharing)
@@ -531,27 +849,132 @@ function App() {
     if (!vidScaleClient) return
     
     try {
-      if (isRecording) {
-        await vidScaleClient.stopRecording()
-        console.log('Recording stopped')
-      } else {
-        await vidScaleClient.startRecording({ recordingType: 'av' })
-        console.log('Recording started')
+      const result = isRecording
+        ? await vidScaleClient.stopRecording()
+        : await vidScaleClient.startRecording({ recordingType: 'av' })
+      if (result && !result.success) {
+        setError(result.text || result.reason)
       }
-      setIsRecording(!isRecording)
     } catch (err) {
       setError(`Failed to toggle recording: ${err.message}`)
     }
   }
 
+  const isRecording = recordingState === 'recording'
+
+  const startLiveStream = () => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.startLiveStream({
+      rtmpUrls: rtmpUrls.split('\n').map(url => url.trim()).filter(Boolean),
+      layout: liveStreamLayout,
+      alsoRecord: liveStreamAlsoRecord
+    })
+    if (result && !result.success) {
+      setError(result.text)
+    } else {
+      setShowLiveStream(false)
+    }
+  }
+
+  const stopLiveStream = () => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.stopLiveStream()
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+  const isRecordingPending = recordingState === 'starting' || recordingState === 'stopping'
+
+  // Room settings
+  const isAllowedBySettings = (setting) => isModerator || roomSettings[setting] !== 'moderators'
+  const canShare = isAllowedBySettings('whoCanShare')
+  const canChat = isAllowedBySettings('whoCanChat')
+  const canRecord = isAllowedBySettings('whoCanRecord')
+
+  const updateRoomSetting = (key, value) => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.updateRoomSettings({ [key]: value })
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  // Breakout room controls
+  const runBreakoutAction = (action) => {
+    if (!vidScaleClient) return
+
+    const result = action(vidScaleClient)
+    if (result && !result.success) {
+      setError(result.text)
+    }
+    return result
+  }
+
+  const createBreakoutRooms = () => {
+    runBreakoutAction(client => client.createBreakoutRooms(Number(breakoutCount)))
+  }
+
+  const openBreakoutRooms = () => {
+    runBreakoutAction(client => client.openBreakoutRooms({ duration: Number(breakoutDuration) * 60 }))
+  }
+
+  const sendBreakoutBroadcast = () => {
+    const result = runBreakoutAction(client => client.broadcastToBreakoutRooms(breakoutMessage))
+    if (result && result.success) {
+      setBreakoutMessage('')
+    }
+  }
+
+  const getBreakoutRoomOf = (peerId) => {
+    const room = breakoutRooms.find(room => room.peers.includes(peerId))
+    return room ? room.breakOutRoom : ''
+  }
+
+  const currentBreakoutRoomName = breakoutRooms.find(room => room.breakOutRoom === currentBreakoutRoom)?.name
+
+  // Hand raise controls
+  const localPeerId = vidScaleClient?.data?.inputParams?.peerId
+  const isHandRaised = raisedHands.includes(localPeerId)
+
+  const toggleHandRaise = () => {
+    if (!vidScaleClient) return
+
+    const result = isHandRaised ? vidScaleClient.lowerHand() : vidScaleClient.raiseHand()
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const lowerPeerHand = (peerId) => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.lowerHand(peerId)
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const lowerAllHands = () => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.lowerAllHands()
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
   // Peer management
-  const addPeer = (peerId, peerName, type) => {
+  const addPeer = (peerId, peerName, type, role) => {
     setPeers(prev => {
       const newPeers = new Map(prev)
       if (!newPeers.has(peerId)) {
         newPeers.set(peerId, {
           peerName,
           type,
+          role,
           muted: false,
           cameraOn: true,
           muteStatusMessage: '',
@@ -580,6 +1003,35 @@ function App() {
     audioRefs.current.clear()
   }
 
+  // Back to the pre-join state, whether we left, closed the room or were put out of it
+  const resetRoomState = () => {
+    setIsJoined(false)
+    setIsInitialized(false)
+    setVidScaleClient(null)
+    removeAllPeers()
+    setScreenShares(new Map())
+    screenShareRefs.current.clear()
+    setRecordingState('idle')
+    setIsLive(false)
+    setRaisedHands([])
+    setRoleRequests([])
+    setRoleRequestPending(false)
+    setWaitingPeers([])
+    setRoomLocked(false)
+    setUnmuteRequest(null)
+    setBreakoutRooms([])
+    setBreakoutOpen(false)
+    setBreakoutEndsAt(null)
+    setCurrentBreakoutRoom(null)
+    setBreakoutNotice('')
+    setSpotlightedPeer(null)
+    setShareDenied(null)
+    setShareTakeoverRequests([])
+    setShareTakeoverApprovedBy(null)
+    setRoomSettings({})
+    setConnectionState('connecting')
+  }
+
   const updatePeerMuteStatus = (peerId, isMuted) => {
     setPeers(prev => {
       const newPeers = new Map(prev)
@@ -592,6 +1044,17 @@ function App() {
     })
   }
 
+  const updatePeerRole = (peerId, role) => {
+    setPeers(prev => {
+      const newPeers = new Map(prev)
+      const peer = newPeers.get(peerId)
+      if (peer) {
+        peer.role = role
+      }
+      return newPeers
+    })
+  }
+
   const updatePeerCameraStatus = (peerId, isOn) => {
     setPeers(prev => {
       const newPeers = new Map(prev)
@@ -626,40 +1089,32 @@ function App() {
   }
 
   // Chat management
-  const addChatMessage = (message) => {
-    setChatMessages(prev => [...prev, message])
+  const upsertChatMessage = (message) => {
+    setChatMessages(prev => {
+      const rest = prev.filter(m => m.clientMessageId !== message.clientMessageId)
+      return [...rest, { ...message }].sort((a, b) => a.timestamp - b.timestamp)
+    })
   }
 
   const sendChatMessage = async () => {
     if (!chatInput.trim() || !vidScaleClient) return
 
-    try {
-      const receiverPeerId = selectedChatReceiver === 'everyone' ? null : selectedChatReceiver
-      
-      
-      addChatMessage({
-        id: Date.now(),
-        from: 'me',
-        data: chatInput,
-        type: 'chat',
-        messageType: receiverPeerId ? 'private' : 'public',
-        timestamp: new Date().toLocaleTimeString()
-      })
-
-      await vidScaleClient.sendCustomMessage(
-        chatInput,
-        'chat',
-        receiverPeerId,
-        'participant',
-        receiverPeerId ? 'private' : 'public'
-      )
+    const text = chatInput
+    setChatInput('')
 
-      setChatInput('')
-    } catch (err) {
-      setError(`Failed to send message: ${err.message}`)
+    // The message shows up right away through chat.onMessage; failures stay in the list with a retry
+    const result = await vidScaleClient.chat.send(text, chatAudience(selectedChatReceiver))
+    if (!result.success && !result.message) {
+      setChatInput(text)
+      setError(result.text)
     }
   }
 
+  const retryChatMessage = async (clientMessageId) => {
+    const result = await vidScaleClient.chat.retry(clientMessageId)
+    if (!result.success) setError(result.text)
+  }
+
   const handleChatKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -667,6 +1122,20 @@ function App() {
     }
   }
 
+  // 'moderators' is the moderators-only backchannel; any other value but 'everyone' is a peer id
+  const chatAudience = (receiver) => {
+    if (receiver === 'everyone') return {}
+    if (receiver === 'moderators') return { toRole: 'moderator' }
+    return { to: receiver }
+  }
+
+  // Each breakout room keeps its own public chat; private messages are threaded per peer
+  const roomChatMessages = chatMessages.filter(message => {
+    if (selectedChatReceiver === 'everyone') return !message.private && message.room === currentBreakoutRoom
+    if (selectedChatReceiver === 'moderators') return message.toRole === 'moderator'
+    return message.private && !message.toRole && (message.local ? message.to : message.from) === selectedChatReceiver
+  })
+
   const getParticipantName = (peerId) => {
     if (peerId === 'me') return 'You'
     const peer = peers.get(peerId)
@@ -686,20 +1155,20 @@ function App() {
     if (!vidScaleClient) return
 
     try {
-      const receiverPeerId = selectedWidgetReceiver === 'everyone' ? null : selectedWidgetReceiver
-      
-      await vidScaleClient.sendCustomMessage(
-        title || `Widget: ${widgetType}`,
+      const audience = {
+        everyone: {},
+        moderators: { toRole: 'moderator' },
+        viewers: { toRole: 'viewer' },
+        selected: { to: selectedWidgetPeers }
+      }[selectedWidgetReceiver] || { to: selectedWidgetReceiver }
+
+      const result = vidScaleClient.publish(
         'widget',
-        receiverPeerId,
-        'moderator',
-        receiverPeerId ? 'private' : 'public',
-        {
-          widgetType,
-          widgetData,
-          title
-        }
+        { widgetType, widgetData, title: title || `Widget: ${widgetType}` },
+        audience
       )
+      // Throttled sends are reported through customMessageError
+      if (!result.success && !result.throttled) setError(result.text)
     } catch (err) {
       setError(`Failed to send widget: ${err.message}`)
     }
@@ -744,30 +1213,151 @@ function App() {
     }
   ]
 
-  // Moderator functions
-  const addAuthRequest = (request) => {
-    setAuthRequests(prev => [...prev, request])
+  // Moderator functions
+  const controlPeerMedia = (action, peerId) => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient[action](peerId)
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const openRemoveDialog = (peerId) => {
+    setRemoveTarget(peerId)
+    setRemoveReason('')
+    setBanFromRejoin(false)
+  }
+
+  const removeParticipant = () => {
+    if (!vidScaleClient || !removeTarget) return
+
+    const result = vidScaleClient.removeParticipant(removeTarget, {
+      reason: removeReason.trim() || null,
+      banFromRejoin
+    })
+    if (result && !result.success) {
+      setError(result.text)
+    }
+    setRemoveTarget(null)
+  }
+
+  const toggleSpotlight = (peerId) => {
+    if (!vidScaleClient) return
+
+    const result = peerId === spotlightedPeer ? vidScaleClient.clearSpotlight() : vidScaleClient.spotlightPeer(peerId)
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const renderSpotlightButton = (peerId) => (
+    <button
+      onClick={() => toggleSpotlight(peerId)}
+      className={`media-control-btn ${peerId === spotlightedPeer ? 'active' : ''}`}
+      title={peerId === spotlightedPeer ? 'Remove spotlight' : 'Spotlight for everyone'}
+    >
+      <Star size={14} />
+    </button>
+  )
+
+  const respondToShareTakeover = (peerId, approve) => {
+    if (!vidScaleClient) return
+
+    setShareTakeoverRequests(prev => prev.filter(request => request.peerId !== peerId))
+    const result = approve ? vidScaleClient.approveShareTakeover(peerId) : vidScaleClient.denyShareTakeover(peerId)
+    if (result && !result.success) {
+      setError(result.text)
+    } else if (approve) {
+      setIsScreenSharing(false)
+    }
+  }
+
+  const muteAllPeers = () => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.muteAll({ exceptModerators: true })
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const acceptUnmuteRequest = async () => {
+    setUnmuteRequest(null)
+    if (!vidScaleClient || !isMuted) return
+
+    try {
+      await vidScaleClient.unmuteMic()
+      setIsMuted(false)
+    } catch (err) {
+      setError(`Failed to unmute microphone: ${err.message}`)
+    }
+  }
+
+  const toggleRoomLock = () => {
+    if (!vidScaleClient) return
+
+    const result = roomLocked ? vidScaleClient.unlockRoom() : vidScaleClient.lockRoom()
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const admitPeer = (peerId) => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.admit(peerId)
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const admitAllPeers = () => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.admitAll()
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  const rejectPeer = (peerId) => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.reject(peerId, 'Denied by moderator')
+    if (result && !result.success) {
+      setError(result.text)
+    }
+  }
+
+  // Role management
+  const changePeerRole = (peerId, promote) => {
+    if (!vidScaleClient) return
+
+    const result = promote ? vidScaleClient.promoteToModerator(peerId) : vidScaleClient.demoteToParticipant(peerId)
+    if (result && !result.success) {
+      setError(result.text)
+    }
   }
 
-  const allowRoomJoin = async (requesterPeerId) => {
-    if (vidScaleClient) {
-      try {
-        await vidScaleClient.allowRoomJoin(requesterPeerId)
-        setAuthRequests(prev => prev.filter(req => req.requesterPeerId !== requesterPeerId))
-      } catch (err) {
-        setError(`Failed to allow room join: ${err.message}`)
-      }
+  const dismissRoleRequest = (peerId) => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.denyModeratorRole(peerId)
+    if (result && !result.success) {
+      setError(result.text)
     }
+    setRoleRequests(prev => prev.filter(req => req.peerId !== peerId))
   }
 
-  const denyRoomJoin = async (requesterPeerId) => {
-    if (vidScaleClient) {
-      try {
-        await vidScaleClient.denyRoomJoin(requesterPeerId)
-        setAuthRequests(prev => prev.filter(req => req.requesterPeerId !== requesterPeerId))
-      } catch (err) {
-        setError(`Failed to deny room join: ${err.message}`)
-      }
+  const requestModeratorRole = () => {
+    if (!vidScaleClient) return
+
+    const result = vidScaleClient.requestModeratorRole()
+    if (result && !result.success) {
+      setError(result.text)
+    } else {
+      setRoleRequestPending(true)
     }
   }
 
@@ -898,17 +1488,45 @@ function App() {
         <div className="header-center">
           {isJoined && <span className="room-info">Room: {roomId}</span>}
           {isRecording && <span className="recording-indicator">Recording</span>}
+          {isLive && <span className="recording-indicator live-indicator">Live</span>}
+          {currentBreakoutRoom && (
+            <span className="room-info">
+              {currentBreakoutRoomName || currentBreakoutRoom}
+              {breakoutEndsAt && ` · ends ${new Date(breakoutEndsAt).toLocaleTimeString()}`}
+            </span>
+          )}
+          {breakoutNotice && (
+            <span className="room-info breakout-notice" onClick={() => setBreakoutNotice('')} title="Dismiss">
+              {breakoutNotice}
+            </span>
+          )}
         </div>
         <div className="header-right">
           {isJoined && (
             <div className="connection-status">
-              <span className="status-dot connected"></span>
-              Connected
+              <span className={`status-dot ${connectionState}`}></span>
+              {connectionState === 'connected' ? 'Connected' : connectionState === 'failed' ? 'Disconnected' : 'Reconnecting'}
             </div>
           )}
         </div>
       </header>
 
+      {isJoined && (connectionState === 'reconnecting' || connectionState === 'failed') && (
+        <div className={`reconnect-banner ${connectionState}`}>
+          {connectionState === 'failed' ? (
+            <>
+              <AlertTriangle size={16} />
+              <span>Connection lost. Leave and rejoin the meeting to continue.</span>
+            </>
+          ) : (
+            <>
+              <Loader2 size={16} className="reconnect-spinner" />
+              <span>Connection lost. Reconnecting{reconnectAttempt > 0 && ` (attempt ${reconnectAttempt})`}...</span>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Main Content */}
       <div className="meeting-content">
         {/* Video Area */}
@@ -987,7 +1605,7 @@ function App() {
                 {paginatedPeers.map(([peerId, peer]) => (
                   <div
                     key={peerId}
-                    className="video-item"
+                    className={`video-item ${spotlight && peerId === spotlightedPeer ? 'spotlighted' : ''}`}
                     style={{
                       width: '100%',
                       height: '100%',
@@ -998,6 +1616,10 @@ function App() {
                       justifyContent: 'center',
                       position: 'relative',
                       aspectRatio: '16/9',
+                      ...(spotlight && peerId === spotlightedPeer && {
+                        gridColumn: '1 / -1',
+                        gridRow: 'span 3',
+                      }),
                     }}
                   >
                     <div
@@ -1046,7 +1668,7 @@ function App() {
                           <span className="participant-name">
                             {peer.peerName}
                             {peer.type === 'local' && <span className="local-indicator"> (You)</span>}
-                            {peer.type === 'local' && isModerator && <span className="moderator-indicator"> (Moderator)</span>}
+                            {peer.role === 'moderator' && <span className="moderator-indicator"> (Moderator)</span>}
                           </span>
                         </div>
                         {/* Status Indicators */}
@@ -1061,6 +1683,21 @@ function App() {
                               <VideoOff size={16} />
                             </div>
                           )}
+                          {raisedHands.includes(peerId) && (
+                            <div className="status-badge hand-raised">
+                              <Hand size={16} />
+                            </div>
+                          )}
+                          {peerId === spotlightedPeer && (
+                            <div className="status-badge spotlight">
+                              <Star size={16} />
+                            </div>
+                          )}
+                          {e2eeStatus[peerId] && (
+                            <div className={`status-badge e2ee ${e2eeStatus[peerId]}`} title={`End-to-end encryption: ${e2eeStatus[peerId]}`}>
+                              <Lock size={16} />
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -1141,8 +1778,9 @@ function App() {
                 </button>
                 <button 
                   className={`control-btn screen-share-btn ${isScreenSharing ? 'active' : ''}`}
-                  onClick={toggleScreenShare}
-                  title={isScreenSharing ? 'Stop sharing' : 'Share screen'}
+                  onClick={() => toggleScreenShare()}
+                  disabled={!isScreenSharing && !canShare}
+                  title={isScreenSharing ? 'Stop sharing' : canShare ? 'Share screen' : 'Only moderators can share'}
                 >
                   {isScreenSharing ? <MonitorOff size={20} /> : <Monitor size={20} />}
                   <span>{isScreenSharing ? 'Stop Share' : 'Share Screen'}</span>
@@ -1150,10 +1788,59 @@ function App() {
                 <button 
                   className={`control-btn recording-btn ${isRecording ? 'active' : ''}`}
                   onClick={toggleRecording}
-                  title={isRecording ? 'Stop recording' : 'Start recording'}
+                  disabled={isRecordingPending || (!isRecording && !canRecord)}
+                  title={isRecording ? 'Stop recording' : canRecord ? 'Start recording' : 'Only moderators can record'}
                 >
                   {isRecording ? <Square size={20} /> : <Circle size={20} />}
-                  <span>{isRecording ? 'Stop' : 'Record'}</span>
+                  <span>
+                    {recordingState === 'starting' ? 'Starting...' : recordingState === 'stopping' ? 'Stopping...' : isRecording ? 'Stop' : 'Record'}
+                  </span>
+                </button>
+                {isModerator && (
+                  <button 
+                    className={`control-btn live-btn ${isLive || showLiveStream ? 'active' : ''}`}
+                    onClick={isLive ? stopLiveStream : () => setShowLiveStream(!showLiveStream)}
+                    title={isLive ? 'End live stream' : 'Go live'}
+                  >
+                    <Radio size={20} />
+                    <span>{isLive ? 'End Live' : 'Go Live'}</span>
+                  </button>
+                )}
+                {isModerator && (
+                  <button 
+                    className={`control-btn ${breakoutOpen || showBreakout ? 'active' : ''}`}
+                    onClick={() => setShowBreakout(!showBreakout)}
+                    title="Breakout rooms"
+                  >
+                    <LayoutGrid size={20} />
+                    <span>Breakout</span>
+                  </button>
+                )}
+                {!isModerator && currentBreakoutRoom && (
+                  <button 
+                    className="control-btn"
+                    onClick={() => runBreakoutAction(client => client.returnToMainRoom())}
+                    title="Return to main room"
+                  >
+                    <DoorOpen size={20} />
+                    <span>Main Room</span>
+                  </button>
+                )}
+                <button 
+                  className={`control-btn hand-raise-btn ${isHandRaised ? 'active' : ''}`}
+                  onClick={toggleHandRaise}
+                  title={isHandRaised ? 'Lower hand' : 'Raise hand'}
+                >
+                  <Hand size={20} />
+                  <span>{isHandRaised ? 'Lower Hand' : 'Raise Hand'}</span>
+                </button>
+                <button 
+                  className={`control-btn hand-queue-btn ${showHandRaise ? 'active' : ''}`}
+                  onClick={() => setShowHandRaise(!showHandRaise)}
+                  title="Raised hands"
+                >
+                  <Hand size={20} />
+                  <span>Hands ({raisedHands.length})</span>
                 </button>
                 <button 
                   className="control-btn participants-btn"
@@ -1171,6 +1858,16 @@ function App() {
                   <MessageCircle size={20} />
                   <span>Chat</span>
                 </button>
+                {isModerator && (
+                  <button 
+                    className={`control-btn lock-btn ${roomLocked ? 'active' : ''}`}
+                    onClick={toggleRoomLock}
+                    title={roomLocked ? 'Unlock room' : 'Lock room'}
+                  >
+                    {roomLocked ? <Lock size={20} /> : <Unlock size={20} />}
+                    <span>{roomLocked ? 'Unlock' : 'Lock'}</span>
+                  </button>
+                )}
                 {isModerator && (
                   <button 
                     className={`control-btn widgets-btn ${showWidgets ? 'active' : ''}`}
@@ -1268,6 +1965,58 @@ function App() {
                 <RefreshCw size={16} />
                 Refresh Devices
               </button>
+
+              {isJoined && isModerator && (
+                <div className="room-settings">
+                  <h4>Room Settings</h4>
+                  <label className="ban-option">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(roomSettings.muteOnEntry)}
+                      onChange={(e) => updateRoomSetting('muteOnEntry', e.target.checked)}
+                    />
+                    Mute participants on entry
+                  </label>
+                  <label className="ban-option">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(roomSettings.cameraOffOnEntry)}
+                      onChange={(e) => updateRoomSetting('cameraOffOnEntry', e.target.checked)}
+                    />
+                    Camera off on entry
+                  </label>
+                  {[
+                    ['whoCanShare', 'Who can share'],
+                    ['whoCanChat', 'Who can chat'],
+                    ['whoCanRecord', 'Who can record']
+                  ].map(([key, label]) => (
+                    <div key={key} className="device-section">
+                      <h4>{label}</h4>
+                      <select
+                        value={roomSettings[key] || 'everyone'}
+                        onChange={(e) => updateRoomSetting(key, e.target.value)}
+                        className="device-select"
+                      >
+                        <option value="everyone">Everyone</option>
+                        <option value="moderators">Moderators only</option>
+                      </select>
+                    </div>
+                  ))}
+                  <div className="device-section">
+                    <h4>Max video tiles</h4>
+                    <select
+                      value={roomSettings.maxVideoTiles || ''}
+                      onChange={(e) => updateRoomSetting('maxVideoTiles', e.target.value ? Number(e.target.value) : null)}
+                      className="device-select"
+                    >
+                      <option value="">Default (10)</option>
+                      {[4, 6, 9, 16, 25].map(count => (
+                        <option key={count} value={count}>{count}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -1289,19 +2038,152 @@ function App() {
                     <span className="participant-name">
                       {peer.peerName}
                       {peer.type === 'local' && <span className="local-indicator"> (You)</span>}
-                      {peer.type === 'local' && isModerator && <span className="moderator-indicator"> (Moderator)</span>}
+                      {peer.role === 'moderator' && <span className="moderator-indicator"> (Moderator)</span>}
                     </span>
                     <div className="participant-status">
                       {peer.muted && <MicOff size={14} />}
                       {!peer.cameraOn && <VideoOff size={14} />}
                     </div>
                   </div>
+                  {isModerator && peer.type === 'local' && (
+                    <div className="participant-actions">
+                      {renderSpotlightButton(peerId)}
+                    </div>
+                  )}
+                  {isModerator && peer.type !== 'local' && (
+                    <div className="participant-actions">
+                      {renderSpotlightButton(peerId)}
+                      {peer.muted ? (
+                        <button
+                          onClick={() => controlPeerMedia('requestUnmute', peerId)}
+                          className="media-control-btn"
+                          title="Ask to unmute"
+                        >
+                          <Mic size={14} />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => controlPeerMedia('muteParticipant', peerId)}
+                          className="media-control-btn"
+                          title="Mute"
+                        >
+                          <MicOff size={14} />
+                        </button>
+                      )}
+                      {peer.cameraOn && (
+                        <button
+                          onClick={() => controlPeerMedia('stopParticipantCamera', peerId)}
+                          className="media-control-btn"
+                          title="Stop camera"
+                        >
+                          <VideoOff size={14} />
+                        </button>
+                      )}
+                      {screenShares.has(peerId) && (
+                        <button
+                          onClick={() => controlPeerMedia('stopParticipantShare', peerId)}
+                          className="media-control-btn"
+                          title="Stop screen share"
+                        >
+                          <MonitorOff size={14} />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => changePeerRole(peerId, peer.role !== 'moderator')}
+                        className="role-btn"
+                      >
+                        {peer.role === 'moderator' ? 'Demote' : 'Promote'}
+                      </button>
+                      <button
+                        onClick={() => openRemoveDialog(peerId)}
+                        className="media-control-btn"
+                        title="Remove from room"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
               {peers.size === 0 && (
                 <p className="no-participants">No participants yet</p>
               )}
             </div>
+
+            {isModerator && peers.size > 1 && (
+              <div className="role-requests">
+                <button onClick={muteAllPeers} className="role-btn">
+                  Mute all participants
+                </button>
+              </div>
+            )}
+
+            {isModerator && roleRequests.length > 0 && (
+              <div className="role-requests">
+                <h4>Moderator Requests</h4>
+                {roleRequests.map(({ peerId, peerName }) => (
+                  <div key={peerId} className="auth-request-item">
+                    <span>{peerName || getParticipantName(peerId)}</span>
+                    <div className="auth-buttons">
+                      <button onClick={() => changePeerRole(peerId, true)}>Promote</button>
+                      <button onClick={() => dismissRoleRequest(peerId)}>Dismiss</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!isModerator && (
+              <div className="role-requests">
+                <button
+                  onClick={requestModeratorRole}
+                  className="role-btn"
+                  disabled={roleRequestPending}
+                >
+                  {roleRequestPending ? 'Moderator role requested' : 'Request moderator role'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Hand Raise Queue */}
+        {showHandRaise && (
+          <div className="hand-raise-panel">
+            <div className="hand-raise-header">
+              <h3>Raised Hands ({raisedHands.length})</h3>
+              <button className="close-btn" onClick={() => setShowHandRaise(false)}>
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="hand-raise-content">
+              {raisedHands.map((peerId, index) => (
+                <div key={peerId} className="hand-raise-item">
+                  <span className="hand-raise-position">{index + 1}</span>
+                  <span className="participant-name">
+                    {getParticipantName(peerId)}
+                    {peerId === localPeerId && <span className="local-indicator"> (You)</span>}
+                  </span>
+                  {isModerator && (
+                    <button onClick={() => lowerPeerHand(peerId)} className="lower-hand-btn">
+                      Lower
+                    </button>
+                  )}
+                </div>
+              ))}
+              {raisedHands.length === 0 && (
+                <p className="no-participants">No raised hands</p>
+              )}
+            </div>
+
+            {isModerator && raisedHands.length > 0 && (
+              <div className="hand-raise-footer">
+                <button onClick={lowerAllHands} className="lower-hand-btn">
+                  Lower all hands
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -1318,28 +2200,44 @@ function App() {
             <div className="chat-content">
               {/* Chat Messages */}
               <div className="chat-messages">
-                {chatMessages.length === 0 ? (
-                  <p className="no-messages">No messages yet. Start the conversation!</p>
+                {roomChatMessages.length === 0 ? (
+                  <p className="no-messages">
+                    {selectedChatReceiver === 'everyone'
+                      ? 'No messages yet. Start the conversation!'
+                      : selectedChatReceiver === 'moderators'
+                        ? 'No messages between moderators yet.'
+                        : `No private messages with ${getParticipantName(selectedChatReceiver)} yet.`}
+                  </p>
                 ) : (
-                  chatMessages.map((message) => (
+                  roomChatMessages.map((message) => (
                     <div 
-                      key={message.id} 
-                      className={`chat-message ${message.from === 'me' ? 'sent' : 'received'}`}
+                      key={message.clientMessageId} 
+                      className={`chat-message ${message.local ? 'sent' : 'received'}`}
                     >
                       <div className="message-header">
                         <span className="message-sender">
-                          {getParticipantName(message.from)}
+                          {getParticipantName(message.local ? 'me' : message.from)}
                         </span>
-                        <span className="message-time">{message.timestamp}</span>
+                        <span className="message-time">{new Date(message.timestamp).toLocaleTimeString()}</span>
                       </div>
                       <div className="message-content">
-                        {message.data}
+                        {message.text}
                       </div>
-                      {message.messageType === 'private' && (
+                      {message.private && (
                         <div className="message-type">
                           <span className="private-indicator">Private</span>
                         </div>
                       )}
+                      {message.local && message.status !== 'delivered' && (
+                        <div className={`message-status ${message.status}`}>
+                          {message.status === 'failed' ? (
+                            <>
+                              Not delivered
+                              <button onClick={() => retryChatMessage(message.clientMessageId)}>Retry</button>
+                            </>
+                          ) : 'Sending…'}
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
@@ -1355,6 +2253,7 @@ function App() {
                     className="receiver-select"
                   >
                     <option value="everyone">Everyone</option>
+                    {isModerator && <option value="moderators">Moderators only</option>}
                     {Array.from(peers.entries())
                       .filter(([peerId, peer]) => peer.type !== 'local') // Exclude local participant
                       .map(([peerId, peer]) => (
@@ -1370,13 +2269,14 @@ function App() {
                     value={chatInput}
                     onChange={(e) => setChatInput(e.target.value)}
                     onKeyPress={handleChatKeyPress}
-                    placeholder="Type your message..."
+                    placeholder={canChat ? 'Type your message...' : 'Only moderators can chat'}
                     className="chat-input"
                     rows={3}
+                    disabled={!canChat}
                   />
                   <button 
                     onClick={sendChatMessage}
-                    disabled={!chatInput.trim()}
+                    disabled={!chatInput.trim() || !canChat}
                     className="send-message-btn"
                   >
                     Send
@@ -1387,6 +2287,190 @@ function App() {
           </div>
         )}
 
+        {/* Live Stream Panel */}
+        {showLiveStream && (
+          <div className="widgets-panel">
+            <div className="widgets-header">
+              <h3>Go Live</h3>
+              <button className="close-btn" onClick={() => setShowLiveStream(false)}>
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="widgets-content live-stream-form">
+              <div className="widget-receiver-select">
+                <label>RTMP URLs (one per line)</label>
+                <textarea
+                  value={rtmpUrls}
+                  onChange={(e) => setRtmpUrls(e.target.value)}
+                  placeholder="rtmp://a.rtmp.youtube.com/live2/your-stream-key"
+                  className="chat-input"
+                  rows={3}
+                />
+              </div>
+
+              <div className="widget-receiver-select">
+                <label>Layout</label>
+                <select
+                  value={liveStreamLayout}
+                  onChange={(e) => setLiveStreamLayout(e.target.value)}
+                  className="receiver-select"
+                >
+                  <option value="grid">Grid</option>
+                  <option value="speaker">Active speaker</option>
+                  <option value="presentation">Presentation</option>
+                </select>
+              </div>
+
+              <label className="ban-option">
+                <input
+                  type="checkbox"
+                  checked={liveStreamAlsoRecord}
+                  onChange={(e) => setLiveStreamAlsoRecord(e.target.checked)}
+                />
+                Also record the stream
+              </label>
+
+              <button
+                onClick={startLiveStream}
+                disabled={!rtmpUrls.trim()}
+                className="send-message-btn"
+              >
+                Go live
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Breakout Rooms Panel */}
+        {showBreakout && isModerator && (
+          <div className="widgets-panel">
+            <div className="widgets-header">
+              <h3>Breakout Rooms</h3>
+              <button className="close-btn" onClick={() => setShowBreakout(false)}>
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="widgets-content breakout-form">
+              {!breakoutOpen && (
+                <div className="widget-receiver-select">
+                  <label>Number of rooms</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={breakoutCount}
+                    onChange={(e) => setBreakoutCount(e.target.value)}
+                    className="chat-input"
+                  />
+                  <div className="auth-buttons">
+                    <button onClick={createBreakoutRooms}>Create</button>
+                    <button
+                      onClick={() => runBreakoutAction(client => client.autoAssignBreakoutRooms())}
+                      disabled={breakoutRooms.length === 0}
+                    >
+                      Assign automatically
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {breakoutRooms.length > 0 && (
+                <div className="widget-receiver-select">
+                  <label>Assignments</label>
+                  {Array.from(peers.entries())
+                    .filter(([, peer]) => peer.type !== 'local')
+                    .map(([peerId, peer]) => (
+                      <div key={peerId} className="breakout-assignment">
+                        <span>{peer.peerName}</span>
+                        <select
+                          value={getBreakoutRoomOf(peerId)}
+                          onChange={(e) => runBreakoutAction(client => client.assignToBreakoutRoom(peerId, e.target.value || null))}
+                          className="receiver-select"
+                        >
+                          <option value="">Main room</option>
+                          {breakoutRooms.map(room => (
+                            <option key={room.breakOutRoom} value={room.breakOutRoom}>
+                              {room.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                </div>
+              )}
+
+              {breakoutRooms.length > 0 && (
+                <div className="widget-receiver-select">
+                  <label>Duration (minutes, 0 for no timer)</label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={breakoutDuration}
+                    onChange={(e) => setBreakoutDuration(e.target.value)}
+                    className="chat-input"
+                  />
+                  <div className="auth-buttons">
+                    {breakoutOpen ? (
+                      <>
+                        <button onClick={() => runBreakoutAction(client => client.setBreakoutRoomsTimer(Number(breakoutDuration) * 60))}>
+                          Restart timer
+                        </button>
+                        <button onClick={() => runBreakoutAction(client => client.closeBreakoutRooms())}>
+                          Close rooms
+                        </button>
+                      </>
+                    ) : (
+                      <button onClick={openBreakoutRooms}>Open rooms</button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {breakoutOpen && (
+                <div className="widget-receiver-select">
+                  <label>Message to all rooms</label>
+                  <textarea
+                    value={breakoutMessage}
+                    onChange={(e) => setBreakoutMessage(e.target.value)}
+                    placeholder="Five minutes left..."
+                    className="chat-input"
+                    rows={2}
+                  />
+                  <button
+                    onClick={sendBreakoutBroadcast}
+                    disabled={!breakoutMessage.trim()}
+                    className="send-message-btn"
+                  >
+                    Broadcast
+                  </button>
+                </div>
+              )}
+
+              {breakoutOpen && (
+                <div className="widget-receiver-select">
+                  <label>Visit a room</label>
+                  <div className="auth-buttons">
+                    {currentBreakoutRoom && (
+                      <button onClick={() => runBreakoutAction(client => client.returnToMainRoom())}>Main room</button>
+                    )}
+                    {breakoutRooms
+                      .filter(room => room.breakOutRoom !== currentBreakoutRoom)
+                      .map(room => (
+                        <button
+                          key={room.breakOutRoom}
+                          onClick={() => runBreakoutAction(client => client.joinBreakoutRoom(room.breakOutRoom))}
+                        >
+                          {room.name}
+                        </button>
+                      ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Widgets Panel */}
         {showWidgets && (
           <div className="widgets-panel">
@@ -1406,6 +2490,9 @@ function App() {
                   className="receiver-select"
                 >
                   <option value="everyone">Everyone</option>
+                  <option value="moderators">All moderators</option>
+                  <option value="viewers">All viewers</option>
+                  <option value="selected">Selected participants…</option>
                   {Array.from(peers.entries())
                     .filter(([peerId, peer]) => peer.type !== 'local')
                     .map(([peerId, peer]) => (
@@ -1414,6 +2501,24 @@ function App() {
                       </option>
                     ))}
                 </select>
+                {selectedWidgetReceiver === 'selected' && (
+                  <div className="widget-peer-list">
+                    {Array.from(peers.entries())
+                      .filter(([, peer]) => peer.type !== 'local')
+                      .map(([peerId, peer]) => (
+                        <label key={peerId}>
+                          <input
+                            type="checkbox"
+                            checked={selectedWidgetPeers.includes(peerId)}
+                            onChange={(e) => setSelectedWidgetPeers(prev => e.target.checked
+                              ? [...prev, peerId]
+                              : prev.filter(id => id !== peerId))}
+                          />
+                          {peer.peerName}
+                        </label>
+                      ))}
+                  </div>
+                )}
               </div>
               
               <div className="widgets-list">
@@ -1473,26 +2578,157 @@ function App() {
           </div>
         ))}
 
-        {/* Authentication Requests */}
-        {authRequests.length > 0 && (
+        {/* Remove Participant */}
+        {removeTarget && (
+          <div className="auth-requests-panel">
+            <div className="auth-requests-header">
+              <h3>Remove {getParticipantName(removeTarget)}</h3>
+              <button className="close-btn" onClick={() => setRemoveTarget(null)}>
+                <X size={20} />
+              </button>
+            </div>
+            <div className="auth-requests-content remove-participant-form">
+              <input
+                type="text"
+                value={removeReason}
+                onChange={(e) => setRemoveReason(e.target.value)}
+                placeholder="Reason (optional)"
+                className="chat-input"
+              />
+              <label className="ban-option">
+                <input
+                  type="checkbox"
+                  checked={banFromRejoin}
+                  onChange={(e) => setBanFromRejoin(e.target.checked)}
+                />
+                Don't allow them to rejoin
+              </label>
+              <div className="auth-buttons">
+                <button onClick={() => setRemoveTarget(null)}>
+                  Cancel
+                </button>
+                <button onClick={removeParticipant}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Unmute Request */}
+        {unmuteRequest && (
           <div className="auth-requests-panel">
             <div className="auth-requests-header">
-              <h3>Authentication Requests</h3>
+              <h3>Unmute Request</h3>
             </div>
             <div className="auth-requests-content">
-              {authRequests.map((request, index) => (
-                <div key={index} className="auth-request-item">
-                  <span>{request.text}</span>
-                  {request.type === 'moderator' && (
-                    <div className="auth-buttons">
-                      <button onClick={() => allowRoomJoin(request.requesterPeerId)}>
-                        Allow
-                      </button>
-                      <button onClick={() => denyRoomJoin(request.requesterPeerId)}>
-                        Deny
-                      </button>
-                    </div>
-                  )}
+              <div className="auth-request-item">
+                <span>{getParticipantName(unmuteRequest.moderatorPeerId)} is asking you to unmute</span>
+                <div className="auth-buttons">
+                  <button onClick={acceptUnmuteRequest}>
+                    Unmute
+                  </button>
+                  <button onClick={() => setUnmuteRequest(null)}>
+                    Stay muted
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {shareDenied && (
+          <div className="auth-requests-panel">
+            <div className="auth-requests-header">
+              <h3>Screen Share Unavailable</h3>
+              <button className="close-btn" onClick={() => setShareDenied(null)}>
+                <X size={20} />
+              </button>
+            </div>
+            <div className="auth-requests-content">
+              <div className="auth-request-item">
+                <span>
+                  {shareDenied.takeoverRequested
+                    ? 'Waiting for the presenter to hand over...'
+                    : `Already sharing: ${shareDenied.sharers.map(sharer => sharer.peerName || getParticipantName(sharer.peerId)).join(', ') || 'unknown'}`}
+                </span>
+                {!shareDenied.takeoverRequested && (
+                  <div className="auth-buttons">
+                    <button onClick={() => toggleScreenShare(true)}>
+                      Ask to present
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {shareTakeoverApprovedBy && (
+          <div className="auth-requests-panel">
+            <div className="auth-requests-header">
+              <h3>Your Turn to Present</h3>
+            </div>
+            <div className="auth-requests-content">
+              <div className="auth-request-item">
+                <span>{getParticipantName(shareTakeoverApprovedBy)} handed over the screen</span>
+                <div className="auth-buttons">
+                  <button onClick={() => toggleScreenShare()}>
+                    Share now
+                  </button>
+                  <button onClick={() => setShareTakeoverApprovedBy(null)}>
+                    Later
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {shareTakeoverRequests.length > 0 && (
+          <div className="auth-requests-panel">
+            <div className="auth-requests-header">
+              <h3>Presenter Requests</h3>
+            </div>
+            <div className="auth-requests-content">
+              {shareTakeoverRequests.map(({ peerId, peerName }) => (
+                <div key={peerId} className="auth-request-item">
+                  <span>{peerName || getParticipantName(peerId)} wants to share their screen</span>
+                  <div className="auth-buttons">
+                    <button onClick={() => respondToShareTakeover(peerId, true)}>
+                      Hand over
+                    </button>
+                    <button onClick={() => respondToShareTakeover(peerId, false)}>
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Waiting Room */}
+        {isModerator && waitingPeers.length > 0 && (
+          <div className="auth-requests-panel">
+            <div className="auth-requests-header">
+              <h3>Waiting Room ({waitingPeers.length})</h3>
+              <button onClick={admitAllPeers} className="admit-all-btn">
+                Admit all
+              </button>
+            </div>
+            <div className="auth-requests-content">
+              {waitingPeers.map(({ peerId, peerName, text }) => (
+                <div key={peerId} className="auth-request-item">
+                  <span>{peerName || text || peerId}</span>
+                  <div className="auth-buttons">
+                    <button onClick={() => admitPeer(peerId)}>
+                      Admit
+                    </button>
+                    <button onClick={() => rejectPeer(peerId)}>
+                      Reject
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>